@@ -0,0 +1,8 @@
+// Only used by the tests, which run the ES module sources on the current version of Node.
+module.exports = {
+  env: {
+    test: {
+      presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+    },
+  },
+};
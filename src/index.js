@@ -32,10 +32,4010 @@ import {
   hasNestedPropertyValue,
   compose,
   isArray,
+  isPlainObject,
   yieldUniqueProgressiveIncrementalCombinations,
   areArrayItemsAllCoercibleToNumber,
+  typeToStr,
 } from "js-utl";
 
+/**
+ * @type {number}
+ */
+const OPTIONAL = 1;
+
+/**
+ * @type {number}
+ */
+const REPEAT = 2;
+
+/**
+ * @type {number}
+ */
+const LINKED = 3;
+
+/**
+ * @type {number}
+ */
+const PERMUTABLE = 4;
+
+/**
+ * @type {number}
+ */
+const GUARD = 5;
+
+/**
+ * Tells whether an option of the options padding arrays has been set.
+ *
+ * @param {Object} optionsPaddingArrayMap The options padding array map of a compiled cartesian composition.
+ * @param {number} optionCode The code of the option.
+ * @param {number} argIndex The index of the argument.
+ * @param {number} [index] The index of the function or composition of functions within the argument.
+ *                         If omitted, checks whether the option has been set for the entire argument array.
+ * @return {boolean} True if the option has been set, false otherwise.
+ */
+const hasOption = (optionsPaddingArrayMap, optionCode, argIndex, index) => {
+  return hasNestedPropertyValue(
+    optionsPaddingArrayMap,
+    typeof index === "undefined"
+      ? [argIndex, "optionsMap", optionCode]
+      : [argIndex, "specificComposition", index, "optionsMap", optionCode]
+  );
+};
+
+/**
+ * @type {string}
+ */
+const COMPOSE_DIRECTION = "compose";
+
+/**
+ * @type {string}
+ */
+const PIPE_DIRECTION = "pipe";
+
+/**
+ * @type {string}
+ */
+const DFS_ORDER = "dfs";
+
+/**
+ * @type {string}
+ */
+const SHORTEST_FIRST_ORDER = "shortest-first";
+
+/**
+ * @type {string}
+ */
+const GROUP_MAJOR_ORDER = "group-major";
+
+/**
+ * @type {string}
+ */
+const DROP_GUARD_FAILURE = "drop";
+
+/**
+ * @type {string}
+ */
+const SKIP_GUARD_FAILURE = "skip";
+
+/**
+ * @type {string}
+ */
+const FLAT_SHAPE = "flat";
+
+/**
+ * @type {string}
+ */
+const NESTED_SHAPE = "nested";
+
+/**
+ * @type {string}
+ */
+const TRUNCATE_LIMIT_REACHED = "truncate";
+
+/**
+ * @type {string}
+ */
+const THROW_LIMIT_REACHED = "throw";
+
+/**
+ * @type {string}
+ */
+const TEXT_FORMAT = "text";
+
+/**
+ * @type {string}
+ */
+const JSON_FORMAT = "json";
+
+/**
+ * @type {string}
+ */
+const MARKDOWN_FORMAT = "markdown";
+
+/**
+ * @type {string}
+ */
+const EXCLUDE_CONSTRAINT = "exclude";
+
+/**
+ * @type {string}
+ */
+const REQUIRES_CONSTRAINT = "requires";
+
+/**
+ * @type {string}
+ */
+const NESTED_PRODUCT = "product";
+
+/**
+ * @type {number[]}
+ */
+const OPTION_CODES = [OPTIONAL, REPEAT, LINKED, PERMUTABLE, GUARD];
+
+/**
+ * Error thrown when a cartesian composition is built with invalid arguments or contradictory constraints.
+ */
+export class CartesianCompositionError extends Error {
+  /**
+   * Constructor.
+   *
+   * @param {string} reason The human-readable reason of the error.
+   * @param {Object} [location] The location of the invalid entry, if any.
+   * @param {number} [location.argIndex] The index of the invalid argument.
+   * @param {string} [location.label] The label of the invalid argument (label-keyed arguments).
+   * @param {number} [location.index] The index of the invalid entry within the argument array.
+   * @param {number} [location.innerIndex] The index of the invalid entry within the array of functions to compose.
+   */
+  constructor(reason, { argIndex, label, index, innerIndex } = {}) {
+    const location = [];
+    if (typeof argIndex !== "undefined") {
+      location.push(
+        `argument ${argIndex}${
+          typeof label !== "undefined" ? ` ("${label}")` : ""
+        }`
+      );
+    }
+    if (typeof index !== "undefined") {
+      location.push(`index ${index}`);
+    }
+    if (typeof innerIndex !== "undefined") {
+      location.push(`inner index ${innerIndex}`);
+    }
+    super(
+      location.length ? `Invalid ${location.join(", ")}: ${reason}` : reason
+    );
+    this.name = "CartesianCompositionError";
+    this.reason = reason;
+    this.argIndex = argIndex;
+    this.label = label;
+    this.index = index;
+    this.innerIndex = innerIndex;
+  }
+}
+
+/**
+ * Error thrown when a call of a cartesian composition reaches one of its execution limits
+ * and the `limitReached` option is "throw".
+ */
+export class CartesianCompositionLimitError extends Error {
+  /**
+   * Constructor.
+   *
+   * @param {string} limit The option of the limit which has been reached: "maxResults", "maxPaths", "timeBudgetMs"
+   *                       or "signal" (if the signal has been aborted).
+   * @param {*} [results] The partial results of the call, if any (see `createResultsCollector`).
+   */
+  constructor(limit, results) {
+    super(
+      limit === "signal"
+        ? "The cartesian composition has been aborted."
+        : `The cartesian composition has reached its "${limit}" limit.`
+    );
+    this.name = "CartesianCompositionLimitError";
+    this.limit = limit;
+    this.results = results;
+  }
+}
+
+/**
+ * Tells whether the given value can be an option code (or a numeric parameter of an option).
+ *
+ * @param {*} value The value.
+ * @return {boolean} True if the value can be an option code, false otherwise.
+ */
+const isOptionCode = value =>
+  !isArray(value) &&
+  typeof value !== "function" &&
+  areArrayItemsAllCoercibleToNumber([value]);
+
+/**
+ * Tells whether the given value is an options padding array.
+ *
+ * @param {*} value The value.
+ * @return {boolean} True if the value is an options padding array, false otherwise.
+ */
+const isOptionsPaddingArray = value =>
+  isArray(value) &&
+  (areArrayItemsAllCoercibleToNumber(value) ||
+    // Options with function parameters (GUARD option), always starting with an option code.
+    (value.length > 0 &&
+      isOptionCode(value[0]) &&
+      value.every(item => isOptionCode(item) || typeof item === "function")));
+
+/**
+ * Tells whether the given value is a nested product (see `nestedProduct`).
+ *
+ * @param {*} value The value.
+ * @return {boolean} True if the value is a nested product, false otherwise.
+ */
+const isNestedProduct = value =>
+  isPlainObject(value) && value.type === NESTED_PRODUCT;
+
+/**
+ * Validates an options padding array.
+ *
+ * @param {*} options The options padding array.
+ * @param {Object} location The location of the options padding array (see `CartesianCompositionError`).
+ * @throws {CartesianCompositionError} If the options padding array is invalid.
+ */
+const validateOptionsPaddingArray = (options, location) => {
+  if (!isOptionsPaddingArray(options)) {
+    throw new CartesianCompositionError(
+      `an options padding array must only contain option codes (e.g. "cartesianComposition.OPTIONAL").`,
+      location
+    );
+  }
+  for (let k = 0; k < options.length; k++) {
+    if (typeof options[k] === "function") {
+      throw new CartesianCompositionError(
+        `a function in an options padding array must follow the "cartesianComposition.GUARD" option.`,
+        location
+      );
+    }
+    const option = Number(options[k]);
+    if (OPTION_CODES.indexOf(option) === -1) {
+      throw new CartesianCompositionError(
+        `unknown option code "${options[k]}" in the options padding array.`,
+        location
+      );
+    }
+    if (option === REPEAT) {
+      if (typeof location.innerIndex !== "undefined") {
+        throw new CartesianCompositionError(
+          `the "cartesianComposition.REPEAT" option can only be set for an entire argument array.`,
+          location
+        );
+      }
+      const [min, max] = options.slice(k + 1, k + 3).map(Number);
+      if (
+        !Number.isInteger(min) ||
+        !Number.isInteger(max) ||
+        min < 0 ||
+        max < Math.max(min, 1)
+      ) {
+        throw new CartesianCompositionError(
+          `the "cartesianComposition.REPEAT" option must be followed by its bounds, two integers "min" and "max" with 0 <= min <= max and max >= 1 (e.g. [cartesianComposition.REPEAT, 1, 3]).`,
+          location
+        );
+      }
+      k += 2;
+    } else if (option === LINKED) {
+      if (typeof location.innerIndex !== "undefined") {
+        throw new CartesianCompositionError(
+          `the "cartesianComposition.LINKED" option can only be set for an entire argument array.`,
+          location
+        );
+      }
+      if (!Number.isInteger(Number(options[k + 1]))) {
+        throw new CartesianCompositionError(
+          `the "cartesianComposition.LINKED" option must be followed by an integer link ID (e.g. [cartesianComposition.LINKED, 1]).`,
+          location
+        );
+      }
+      k++;
+    } else if (option === GUARD) {
+      if (typeof options[k + 1] !== "function") {
+        throw new CartesianCompositionError(
+          `the "cartesianComposition.GUARD" option must be followed by a guard function (e.g. [cartesianComposition.GUARD, isString]).`,
+          location
+        );
+      }
+      k++;
+    } else if (
+      option === PERMUTABLE &&
+      typeof location.innerIndex !== "undefined"
+    ) {
+      throw new CartesianCompositionError(
+        `the "cartesianComposition.PERMUTABLE" option can only be set for an entire argument array.`,
+        location
+      );
+    }
+  }
+};
+
+/**
+ * Parses an options padding array.
+ *
+ * @param {Array} options The options padding array.
+ * @return {Array[]} An `[option, value]` pair for each option, where `value` is an object with the bounds
+ *                   of the option (`min` and `max`) for the REPEAT option, the link ID for the LINKED option,
+ *                   the guard function for the GUARD option and `true` for the other options.
+ */
+const parseOptionsPaddingArray = options => {
+  const parsed = [];
+  for (let k = 0; k < options.length; k++) {
+    const option = Number(options[k]);
+    if (option === REPEAT) {
+      parsed.push([
+        option,
+        { min: Number(options[k + 1]), max: Number(options[k + 2]) },
+      ]);
+      k += 2;
+    } else if (option === LINKED) {
+      parsed.push([option, Number(options[k + 1])]);
+      k++;
+    } else if (option === GUARD) {
+      parsed.push([option, options[k + 1]]);
+      k++;
+    } else {
+      parsed.push([option, true]);
+    }
+  }
+  return parsed;
+};
+
+/**
+ * Sets an option of an options map of the options padding array map.
+ *
+ * @param {Object} optionsMap The options map.
+ * @param {number} option The option code.
+ * @param {*} value The value of the option (see `parseOptionsPaddingArray`).
+ * @return {undefined}
+ */
+const setOption = (optionsMap, option, value) => {
+  if (option === GUARD) {
+    // An array of guards, as the option can be set several times.
+    optionsMap[option] = (optionsMap[option] || []).concat([value]);
+  } else {
+    optionsMap[option] = value;
+  }
+};
+
+/**
+ * Expands the nodes of an argument with the REPEAT option into a node for each sequence of its nodes
+ * having a length within the bounds of the option, from the shortest sequences to the longest ones
+ * and, for each length, in lexicographic order (an empty sequence is obtained by skipping the argument).
+ *
+ * @param {Object[]} argNodes The nodes of the argument.
+ * @param {Object} bounds The bounds of the REPEAT option.
+ * @param {number} bounds.min The minimum number of repetitions.
+ * @param {number} bounds.max The maximum number of repetitions.
+ * @return {Object[]} A node for each sequence, with the functions of the nodes of the sequence (`fns`, the first node
+ *                    of the sequence being the outermost one), the index of the sequence among the sequences (`index`)
+ *                    and the nodes of the sequence (`members`).
+ */
+const repeatedNodes = (argNodes, { min, max }) => {
+  const sequences = [];
+  let previousSequences = [[]];
+  for (let length = 1; length <= max; length++) {
+    previousSequences = previousSequences.flatMap(sequence =>
+      argNodes.map(node => sequence.concat([node]))
+    );
+    if (length >= min) {
+      sequences.push(...previousSequences);
+    }
+  }
+  return sequences.map((members, index) => ({
+    fns: members.flatMap(member => member.fns),
+    argIndex: members[0].argIndex,
+    index,
+    members,
+  }));
+};
+
+/**
+ * Returns the name of a node within the keys of the results of a cartesian composition with label-keyed arguments.
+ *
+ * @param {Object} node The node.
+ * @return {string} The name of the function, the names of the functions of a composition of functions joined by dots
+ *                  or, for a sequence of nodes (REPEAT option), the names of its nodes joined by plus signs.
+ */
+const nodeKeyName = node =>
+  node.members
+    ? node.members.map(nodeKeyName).join("+")
+    : node.fns.map(fn => fn.name).join(".");
+
+/**
+ * Validates an argument of a cartesian composition.
+ *
+ * @param {*} arg The argument.
+ * @param {number} argIndex The index of the argument.
+ * @param {string[]|null} labels The labels of the arguments, or `null` if the arguments are positional.
+ * @param {boolean} [dependent] Whether the argument has been returned by the factory of a dependent argument,
+ *                              in which case it can be empty but cannot have the LINKED and PERMUTABLE options.
+ * @throws {CartesianCompositionError} If the argument is invalid.
+ */
+const validateArg = (arg, argIndex, labels, dependent = false) => {
+  const argLocation = {
+    argIndex,
+    label: labels ? labels[argIndex] : void 0,
+  };
+  if (!isArray(arg)) {
+    throw new CartesianCompositionError(
+      dependent
+        ? `the factory of a dependent argument must return an array of functions, ${typeToStr(
+            arg
+          )} returned.`
+        : `each argument must be an array of functions or a factory function, ${typeToStr(
+            arg
+          )} given.`,
+      argLocation
+    );
+  }
+  let nodesCount = 0;
+  let repeated = false;
+  for (let i = 0; i < arg.length; i++) {
+    const possibleFn = arg[i];
+    const location = { ...argLocation, index: i };
+    if (isArray(possibleFn)) {
+      if (possibleFn.length && isOptionsPaddingArray(possibleFn)) {
+        if (i !== 0) {
+          throw new CartesianCompositionError(
+            "an options padding array must be the first element of its argument array.",
+            location
+          );
+        }
+        validateOptionsPaddingArray(possibleFn, location);
+        const parsed = parseOptionsPaddingArray(possibleFn);
+        repeated = parsed.some(([option]) => option === REPEAT);
+        if (
+          dependent &&
+          parsed.some(([option]) => option === LINKED || option === PERMUTABLE)
+        ) {
+          throw new CartesianCompositionError(
+            `the "cartesianComposition.LINKED" and "cartesianComposition.PERMUTABLE" options cannot be set for an argument array returned by the factory of a dependent argument.`,
+            location
+          );
+        }
+        continue;
+      }
+      if (i === 0 && !possibleFn.length) {
+        // Empty options padding array.
+        continue;
+      }
+      // Array of functions to compose.
+      let fnsCount = 0;
+      let nested = false;
+      for (let j = 0; j < possibleFn.length; j++) {
+        const innerCompositionPossibleFn = possibleFn[j];
+        const innerLocation = { ...location, innerIndex: j };
+        if (isArray(innerCompositionPossibleFn)) {
+          if (j !== 0) {
+            throw new CartesianCompositionError(
+              isOptionsPaddingArray(innerCompositionPossibleFn)
+                ? "an options padding array must be the first element of its array of functions to compose."
+                : "an array of functions to compose cannot contain nested arrays of functions.",
+              innerLocation
+            );
+          }
+          validateOptionsPaddingArray(
+            innerCompositionPossibleFn,
+            innerLocation
+          );
+          if (
+            repeated &&
+            parseOptionsPaddingArray(innerCompositionPossibleFn).some(
+              ([option]) => option === GUARD
+            )
+          ) {
+            throw new CartesianCompositionError(
+              `the "cartesianComposition.GUARD" option can only be set for an entire argument array with the "cartesianComposition.REPEAT" option.`,
+              innerLocation
+            );
+          }
+        } else if (isNestedProduct(innerCompositionPossibleFn)) {
+          nested = true;
+          fnsCount++;
+        } else if (typeof innerCompositionPossibleFn !== "function") {
+          throw new CartesianCompositionError(
+            `expected a function, ${typeToStr(
+              innerCompositionPossibleFn
+            )} given.`,
+            innerLocation
+          );
+        } else {
+          fnsCount++;
+        }
+      }
+      if (!fnsCount) {
+        throw new CartesianCompositionError(
+          "an array of functions to compose must contain at least one function.",
+          location
+        );
+      }
+      if (nested && fnsCount > 1) {
+        throw new CartesianCompositionError(
+          "a nested product cannot be composed with other functions, it can only be prepended with an options padding array.",
+          location
+        );
+      }
+    } else if (
+      typeof possibleFn !== "function" &&
+      !isNestedProduct(possibleFn)
+    ) {
+      throw new CartesianCompositionError(
+        `expected a function, an array of functions to compose or a nested product, ${typeToStr(
+          possibleFn
+        )} given.`,
+        location
+      );
+    }
+    nodesCount++;
+  }
+  if (!nodesCount && !dependent) {
+    throw new CartesianCompositionError(
+      "an argument array must contain at least one function or array of functions to compose.",
+      argLocation
+    );
+  }
+};
+
+/**
+ * Validates the arguments of a cartesian composition.
+ *
+ * @param {Array} args The arguments of the cartesian composition.
+ * @param {string[]|null} labels The labels of the arguments, or `null` if the arguments are positional.
+ * @throws {CartesianCompositionError} If an argument is invalid.
+ */
+const validateArgs = (args, labels) => {
+  for (let argIndex = 0; argIndex < args.length; argIndex++) {
+    if (typeof args[argIndex] !== "function") {
+      // The arguments returned by the factories of the dependent arguments are validated when the factories are called.
+      validateArg(args[argIndex], argIndex, labels);
+    }
+  }
+};
+
+/**
+ * Returns the name of a function to use in error messages.
+ *
+ * @param {Function} fn The function.
+ * @return {string} The name.
+ */
+const fnName = fn => `"${(fn && fn.name) || "anonymous"}"`;
+
+/**
+ * Compiles the declarative constraints (see `cartesianComposition.exclude` and `cartesianComposition.requires`)
+ * and checks that they are not contradictory.
+ *
+ * @param {Object[]} constraints The constraints.
+ * @return {Object|null} The compiled constraints, an object with the groups of mutually exclusive functions (`exclusions`)
+ *                       and a map of the functions required by each function (`requirements`),
+ *                       or `null` if there aren't constraints.
+ * @throws {CartesianCompositionError} If a constraint is unknown or if the constraints are contradictory.
+ */
+const compileConstraints = constraints => {
+  if (!constraints || !constraints.length) {
+    return null;
+  }
+  const exclusions = [];
+  const requirements = new Map();
+  for (const constraint of constraints) {
+    const type = constraint && constraint.type;
+    if (type === EXCLUDE_CONSTRAINT) {
+      exclusions.push([...new Set(constraint.fns)]);
+    } else if (type === REQUIRES_CONSTRAINT) {
+      const [fn, ...requiredFns] = constraint.fns;
+      const required = requirements.get(fn) || new Set();
+      for (const requiredFn of requiredFns) {
+        required.add(requiredFn);
+      }
+      requirements.set(fn, required);
+    } else {
+      throw new CartesianCompositionError(
+        `Unknown constraint "${type}", use "cartesianComposition.exclude" or "cartesianComposition.requires" to create constraints.`
+      );
+    }
+  }
+
+  for (const fn of requirements.keys()) {
+    // All the functions which have to appear together with `fn`.
+    const closure = new Set();
+    const toVisit = [...requirements.get(fn)];
+    while (toVisit.length) {
+      const requiredFn = toVisit.pop();
+      if (requiredFn === fn) {
+        throw new CartesianCompositionError(
+          `Contradictory constraints: function ${fnName(
+            fn
+          )} requires itself (directly or through other required functions), therefore it can never wrap a path.`
+        );
+      }
+      if (!closure.has(requiredFn)) {
+        closure.add(requiredFn);
+        toVisit.push(...(requirements.get(requiredFn) || []));
+      }
+    }
+    for (const excluded of exclusions) {
+      const conflicting = excluded.filter(
+        excludedFn => excludedFn === fn || closure.has(excludedFn)
+      );
+      if (conflicting.length > 1) {
+        throw new CartesianCompositionError(
+          `Contradictory constraints: functions ${conflicting
+            .map(fnName)
+            .join(", ")} are mutually exclusive, but function ${fnName(
+            fn
+          )} requires them to appear in the same composition (directly or through other required functions).`
+        );
+      }
+    }
+  }
+  return {
+    exclusions,
+    requirements,
+  };
+};
+
+/**
+ * Tells whether the given functions contain at least two mutually exclusive functions.
+ *
+ * @param {Object} constraints The compiled constraints (see `compileConstraints`).
+ * @param {Function[]} fns The functions.
+ * @return {boolean} True if the exclusions are violated, false otherwise.
+ */
+const violatesExclusions = (constraints, fns) =>
+  constraints.exclusions.some(
+    excluded => excluded.filter(fn => fns.indexOf(fn) !== -1).length > 1
+  );
+
+/**
+ * Tells whether the given functions of a composition satisfy the given constraints.
+ *
+ * @param {Object} constraints The compiled constraints (see `compileConstraints`).
+ * @param {Function[]} fns The functions of the composition, from the outermost to the innermost.
+ * @return {boolean} True if the constraints are satisfied, false otherwise.
+ */
+const satisfiesConstraints = (constraints, fns) => {
+  if (violatesExclusions(constraints, fns)) {
+    return false;
+  }
+  for (let i = 0; i < fns.length; i++) {
+    const requiredFns = constraints.requirements.get(fns[i]);
+    if (requiredFns) {
+      for (const requiredFn of requiredFns) {
+        if (fns.indexOf(requiredFn, i + 1) === -1) {
+          return false;
+        }
+      }
+    }
+  }
+  return true;
+};
+
+/**
+ * Compiles the links between the arguments with the LINKED option.
+ *
+ * The first argument of each link is its leader: the arguments linked to it do not multiply the paths
+ * of the cartesian composition, as their node is always the one at the same position as the node of the leader.
+ *
+ * @param {Array.<Object[]>} nodes The nodes of each argument.
+ * @param {Object} optionsPaddingArrayMap The options padding array map.
+ * @param {string[]|null} labels The labels of the arguments, or `null` if the arguments are positional.
+ * @return {number[]} The index of the leader of each argument (the index of the argument itself if it is not linked
+ *                    to a preceding argument).
+ * @throws {CartesianCompositionError} If the linked arguments do not have the same number of functions
+ *                                     or compositions of functions.
+ */
+const compileLinks = (nodes, optionsPaddingArrayMap, labels) => {
+  const leaders = {};
+  return nodes.map((argNodes, argIndex) => {
+    if (!hasOption(optionsPaddingArrayMap, LINKED, argIndex)) {
+      return argIndex;
+    }
+    const linkId = optionsPaddingArrayMap[argIndex].optionsMap[LINKED];
+    if (!(linkId in leaders)) {
+      leaders[linkId] = argIndex;
+      return argIndex;
+    }
+    const leader = leaders[linkId];
+    if (nodes[leader].length !== argNodes.length) {
+      throw new CartesianCompositionError(
+        `the argument arrays linked with the link ID ${linkId} must have the same number of functions or compositions of functions (argument ${leader} has ${nodes[leader].length}, argument ${argIndex} has ${argNodes.length}).`,
+        { argIndex, label: labels ? labels[argIndex] : void 0 }
+      );
+    }
+    return leader;
+  });
+};
+
+/**
+ * Returns the nodes of a nested product (see `nestedProduct`) given as a function of an argument,
+ * a node for each path of the nested product.
+ *
+ * @param {Object} product The nested product.
+ * @param {number} argIndex The index of the argument.
+ * @param {number} index The index of the nested product within the argument.
+ * @return {Object[]} The nodes, each one having the functions of its nested path (`fns`, in the order of the arguments
+ *                    of the nested product), the index of the argument (`argIndex`), the index of the nested product
+ *                    within the argument (`index`), the nested path (`nested`), its index among the paths
+ *                    of the nested product (`nestedIndex`) and a boolean telling whether the nested product
+ *                    can be skipped entirely (`nestedOptional`).
+ */
+const nestedProductNodes = (product, argIndex, index) =>
+  product.compositionPaths.map((compositionPath, nestedIndex) => ({
+    fns: compositionPath.path.flatMap(node => node.fns),
+    argIndex,
+    index,
+    nested: compositionPath,
+    nestedIndex,
+    nestedOptional: product.optional,
+  }));
+
+/**
+ * Compiles the nodes (functions or compositions of functions) of an argument of a cartesian composition,
+ * setting its options in the given options padding array map.
+ *
+ * @param {Array} arg The argument.
+ * @param {number} argIndex The index of the argument.
+ * @param {Object} optionsPaddingArrayMap The options padding array map.
+ * @return {Object[]} The nodes of the argument, each one having the functions to compose (`fns`), the index of the argument
+ *                    (`argIndex`) and the index of the function or composition of functions within that argument (`index`),
+ *                    the nodes of the nested products (see `nestedProductNodes`) or the sequences of its nodes
+ *                    for an argument with the REPEAT option (see `repeatedNodes`).
+ */
+const compileArgNodes = (arg, argIndex, optionsPaddingArrayMap) => {
+  const argNodes = [];
+  for (let i = 0; i < arg.length; i++) {
+    const possibleFn = arg[i];
+    const possibleFnIsArray = isArray(possibleFn);
+    if (i === 0 && possibleFnIsArray && isOptionsPaddingArray(possibleFn)) {
+      // Options padding array (it's always the first and it's an array).
+      const options = possibleFn;
+      for (const [option, value] of parseOptionsPaddingArray(options)) {
+        optionsPaddingArrayMap[argIndex] = optionsPaddingArrayMap[argIndex] || {
+          optionsMap: {},
+          specificComposition: {},
+        };
+        setOption(optionsPaddingArrayMap[argIndex].optionsMap, option, value);
+        if (option === REPEAT && value.min === 0) {
+          // Repeating an argument zero times is the same as skipping it.
+          optionsPaddingArrayMap[argIndex].optionsMap[OPTIONAL] = true;
+        }
+      }
+    } else {
+      // Function or array of functions to compose eventually prepended
+      // with an optional options padding array.
+      if (possibleFnIsArray) {
+        // Array of functions to compose.
+        const fns = [];
+        for (let j = 0; j < possibleFn.length; j++) {
+          const innerCompositionPossibleFn = possibleFn[j];
+          if (j === 0 && isArray(innerCompositionPossibleFn)) {
+            // Options padding array (it's always the first and it's an array).
+            const options = innerCompositionPossibleFn;
+            for (const [option, value] of parseOptionsPaddingArray(options)) {
+              optionsPaddingArrayMap[argIndex] = optionsPaddingArrayMap[
+                argIndex
+              ] || {
+                optionsMap: {},
+                specificComposition: {},
+              };
+              optionsPaddingArrayMap[argIndex].specificComposition[i] =
+                optionsPaddingArrayMap[argIndex].specificComposition[i] || {
+                  optionsMap: {},
+                };
+              setOption(
+                optionsPaddingArrayMap[argIndex].specificComposition[i]
+                  .optionsMap,
+                option,
+                value
+              );
+            }
+          } else {
+            // Function.
+            fns.push(innerCompositionPossibleFn);
+          }
+        }
+        if (fns.length === 1 && isNestedProduct(fns[0])) {
+          // Nested product prepended with an options padding array.
+          argNodes.push(...nestedProductNodes(fns[0], argIndex, i));
+        } else {
+          // Composition of functions.
+          argNodes.push({
+            fns,
+            argIndex,
+            index: i,
+          });
+        }
+      } else if (isNestedProduct(possibleFn)) {
+        // Nested product.
+        argNodes.push(...nestedProductNodes(possibleFn, argIndex, i));
+      } else {
+        // Function.
+        argNodes.push({
+          fns: [possibleFn],
+          argIndex,
+          index: i,
+        });
+      }
+    }
+  }
+  return hasOption(optionsPaddingArrayMap, REPEAT, argIndex)
+    ? repeatedNodes(
+        argNodes,
+        optionsPaddingArrayMap[argIndex].optionsMap[REPEAT]
+      )
+    : argNodes;
+};
+
+/**
+ * Completes the compiled nodes of an argument of a cartesian composition with the properties derived from
+ * their options and with the properties needed to compose them (see `compileCartesianComposition`).
+ *
+ * @param {Object[]} argNodes The nodes of the argument (see `compileArgNodes`).
+ * @param {Object} optionsPaddingArrayMap The options padding array map.
+ * @param {string} direction The direction of the compositions (see `createCartesianComposition`).
+ * @param {string[]|null} labels The labels of the arguments, or `null` if the arguments are positional.
+ * @return {undefined}
+ */
+const completeArgNodes = (
+  argNodes,
+  optionsPaddingArrayMap,
+  direction,
+  labels
+) => {
+  for (const node of argNodes) {
+    node.position = argNodes.indexOf(node);
+    node.argNodesCount = argNodes.length;
+    node.groupOptional = hasOption(
+      optionsPaddingArrayMap,
+      OPTIONAL,
+      node.argIndex
+    );
+    // A sequence of nodes (REPEAT option) is optional if all its nodes are optional.
+    node.optional =
+      node.groupOptional ||
+      (node.members || [node]).every(
+        member =>
+          member.nestedOptional ||
+          hasOption(
+            optionsPaddingArrayMap,
+            OPTIONAL,
+            member.argIndex,
+            member.index
+          )
+      );
+    // Guards of the entire argument and, unless the node is a sequence of nodes (REPEAT option),
+    // of the specific function or composition of functions.
+    node.guards = (
+      hasOption(optionsPaddingArrayMap, GUARD, node.argIndex)
+        ? optionsPaddingArrayMap[node.argIndex].optionsMap[GUARD]
+        : []
+    ).concat(
+      !node.members &&
+        hasOption(optionsPaddingArrayMap, GUARD, node.argIndex, node.index)
+        ? optionsPaddingArrayMap[node.argIndex].specificComposition[node.index]
+            .optionsMap[GUARD]
+        : []
+    );
+    // Functions of the node from the outermost to the innermost.
+    node.composeFns = node.nested
+      ? node.nested.fns
+      : direction === PIPE_DIRECTION
+      ? [...node.fns].reverse()
+      : node.fns;
+    node.fn = compose(...node.composeFns);
+    node.id = node.nested ? `${node.index}:${node.nestedIndex}` : node.index;
+  }
+  if (labels) {
+    for (const node of argNodes) {
+      const keyName = nodeKeyName(node);
+      node.label = labels[node.argIndex];
+      node.keyName =
+        node.fns.some(fn => !fn.name) ||
+        argNodes.some(
+          otherNode => otherNode !== node && nodeKeyName(otherNode) === keyName
+        )
+          ? // Anonymous or ambiguous functions, disambiguated using the identifier of the node.
+            `${keyName}#${node.id}`
+          : keyName;
+    }
+  }
+};
+
+/**
+ * Compiles the arguments of a cartesian composition, parsing the options padding arrays
+ * and the nodes (functions or compositions of functions) of each argument once.
+ *
+ * @param {Array.<Array.<number[]|Function|Array.<number[]|Function>>>|Array.<Object>} args The arguments of the cartesian composition
+ *                                                                                        (a single plain object for label-keyed arguments).
+ * @param {Object} options The options (see `createCartesianComposition`).
+ * @return {Object} The compiled cartesian composition (the plan), an object with the following properties:
+ *
+ *                      - nodes: An array with the nodes of each argument, each node having the functions
+ *                               to compose (`fns`), the index of the argument (`argIndex`), the index
+ *                               of the function or composition of functions within that argument (`index`),
+ *                               a boolean telling whether the node is optional (`optional`) and whether its entire
+ *                               argument is (`groupOptional`), its position among the nodes of its argument (`position`),
+ *                               the number of nodes of its argument (`argNodesCount`), its guards (`guards`, GUARD option), its identifier
+ *                               within its argument (`id`, see `dependentArgNodes`), its functions from the outermost to the innermost (`composeFns`, i.e. `fns` reversed
+ *                               when the direction is "pipe"), the composition of its functions (`fn`)
+ *                               and, for label-keyed arguments, the label of its argument (`label`)
+ *                               and its name within the keys of the results (`keyName`).
+ *                               The nodes of an argument with the REPEAT option are sequences of its functions
+ *                               or compositions of functions (see `repeatedNodes`) and each path of a nested product
+ *                               is a node of its argument (see `nestedProductNodes`).
+ *                               The nodes of a dependent argument (an argument given as a factory function)
+ *                               are compiled each time the paths reach that argument (see `dependentArgNodes`),
+ *                               its array of nodes being empty;
+ *                      - labels: The labels of the arguments, or `null` if the arguments are positional;
+ *                      - optionsPaddingArrayMap: The options set through the options padding arrays;
+ *                      - linkLeaders: The leader of each argument (see `compileLinks`);
+ *                      - permutableArgs: The indexes of the arguments with the PERMUTABLE option;
+ *                      - factories: The factory of each dependent argument, `null` for the other arguments;
+ *                      - guarded: Whether some of the nodes have guards (GUARD option), always true
+ *                                 if there are dependent arguments;
+ *                      - direction: The direction of the compositions (see `createCartesianComposition`);
+ *                      - order: The order of the paths (see `createCartesianComposition`);
+ *                      - where: The predicate used to prune the paths, if any (see `createCartesianComposition`);
+ *                      - constraints: The compiled constraints, if any (see `compileConstraints`);
+ *                      - validate: Whether the arguments returned by the factories of the dependent arguments are validated;
+ *                      - fnIds: The identifiers of the functions of the dependent arguments (see `dependentArgNodes`);
+ *                      - compositionPaths: The paths of the cartesian composition (see `yieldCartesianCompositionPaths`),
+ *                                          `null` until they are enumerated entirely for the first time;
+ */
+const compileCartesianComposition = (args, options) => {
+  const optionsPaddingArrayMap = {};
+  const nodes = [];
+  let labels = null;
+  if (args.length === 1 && isPlainObject(args[0])) {
+    // Label-keyed arguments.
+    labels = Object.keys(args[0]);
+    args = labels.map(label => args[0][label]);
+  }
+  if (options.validate) {
+    validateArgs(args, labels);
+  }
+  const factories = args.map(arg => (typeof arg === "function" ? arg : null));
+
+  for (let argIndex = 0; argIndex < args.length; argIndex++) {
+    if (factories[argIndex]) {
+      // Dependent argument, its nodes are compiled each time its factory is called (see `dependentArgNodes`).
+      nodes.push([]);
+      continue;
+    }
+    const argNodes = compileArgNodes(
+      args[argIndex],
+      argIndex,
+      optionsPaddingArrayMap
+    );
+    completeArgNodes(
+      argNodes,
+      optionsPaddingArrayMap,
+      options.direction,
+      labels
+    );
+    nodes.push(argNodes);
+  }
+
+  const permutableArgs = nodes
+    .map((argNodes, argIndex) => argIndex)
+    .filter(argIndex =>
+      hasOption(optionsPaddingArrayMap, PERMUTABLE, argIndex)
+    );
+  if (options.shape === NESTED_SHAPE && permutableArgs.length > 1) {
+    throw new CartesianCompositionError(
+      `the "cartesianComposition.PERMUTABLE" option cannot be set for several argument arrays with the "${NESTED_SHAPE}" shape, as the results of the different orders would have the same indexes.`,
+      {
+        argIndex: permutableArgs[1],
+        label: labels ? labels[permutableArgs[1]] : void 0,
+      }
+    );
+  }
+
+  return {
+    nodes,
+    labels,
+    optionsPaddingArrayMap,
+    linkLeaders: compileLinks(nodes, optionsPaddingArrayMap, labels),
+    permutableArgs,
+    factories,
+    guarded:
+      factories.some(factory => factory) ||
+      nodes.some(argNodes => argNodes.some(node => node.guards.length)),
+    direction: options.direction,
+    order: options.order,
+    where: options.where,
+    constraints: compileConstraints(options.constraints),
+    validate: options.validate,
+    fnIds: new Map(),
+    compositionPaths: null,
+  };
+};
+
+/**
+ * Calls the factory of a dependent argument with the nodes chosen so far and compiles the nodes
+ * of the argument it returns.
+ *
+ * The identifier of each node (`id`, the index of the node for the other arguments) is made of the identifiers
+ * of its functions and guards, so that the nodes returned for different paths are the same node
+ * when the paths obtained by skipping optional nodes are deduplicated.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {number} argIndex The index of the dependent argument.
+ * @param {Object[]} path The nodes chosen so far, in the order in which their arguments are composed.
+ * @return {Object[]} The nodes of the argument (see `compileCartesianComposition`), an empty array pruning the path.
+ * @throws {CartesianCompositionError} If the argument returned by the factory is invalid.
+ */
+const dependentArgNodes = (plan, argIndex, path) => {
+  const { labels, fnIds } = plan;
+  const arg = plan.factories[argIndex](path);
+  if (plan.validate) {
+    validateArg(arg, argIndex, labels, true);
+  }
+  const optionsPaddingArrayMap = {};
+  const argNodes = compileArgNodes(arg, argIndex, optionsPaddingArrayMap);
+  completeArgNodes(argNodes, optionsPaddingArrayMap, plan.direction, labels);
+  const fnId = fn => {
+    if (!fnIds.has(fn)) {
+      fnIds.set(fn, fnIds.size);
+    }
+    return fnIds.get(fn);
+  };
+  for (const node of argNodes) {
+    node.id = `${node.fns.map(fnId).join(".")}|${node.guards
+      .map(fnId)
+      .join(".")}`;
+  }
+  return argNodes;
+};
+
+/**
+ * Returns the nodes of a path from the innermost (the one applied first) to the outermost.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} path The nodes of the path, in the order in which their arguments are composed.
+ * @return {Object[]} The nodes from the innermost to the outermost.
+ */
+const innermostFirst = (plan, path) =>
+  plan.direction === PIPE_DIRECTION ? path : [...path].reverse();
+
+/**
+ * Returns the functions of a path from the outermost to the innermost.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} path The nodes of the path, in the order in which their arguments are composed.
+ * @return {Function[]} The functions from the outermost to the innermost.
+ */
+const outermostFirstFns = (plan, path) =>
+  (plan.direction === PIPE_DIRECTION ? [...path].reverse() : path).flatMap(
+    node => node.composeFns
+  );
+
+/**
+ * Returns the key of the result of a path of a cartesian composition with label-keyed arguments,
+ * made of a `label=name` segment for each argument, where `name` is the name of the function (or the names
+ * of the functions of the composition of functions joined by dots) or a dash if the argument has been skipped:
+ *
+ *     "format=a/enrich=-/source=h"
+ *
+ * The positions of the permutable arguments (PERMUTABLE option) are filled with the composed permutable arguments
+ * in the order of the path, followed by the skipped ones.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} path The nodes of the path, from the outermost to the innermost in the "compose" direction.
+ * @return {string} The key.
+ */
+const compositionPathKey = (plan, path) => {
+  const { labels, permutableArgs } = plan;
+  const nodesMap = new Map(path.map(node => [node.argIndex, node]));
+  const permutedArgs = path
+    .map(node => node.argIndex)
+    .filter(argIndex => permutableArgs.indexOf(argIndex) !== -1)
+    .concat(permutableArgs.filter(argIndex => !nodesMap.has(argIndex)));
+  let k = 0;
+  return labels
+    .map((label, argIndex) => {
+      const slotArgIndex =
+        permutableArgs.indexOf(argIndex) !== -1 ? permutedArgs[k++] : argIndex;
+      const node = nodesMap.get(slotArgIndex);
+      return `${labels[slotArgIndex]}=${node ? node.keyName : "-"}`;
+    })
+    .join("/");
+};
+
+/**
+ * Creates the path of a composition, precomputing the composition of its functions.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} path The nodes to compose.
+ * @param {Object[]} skipped The skipped optional nodes.
+ * @return {Object} The path of the composition (see `yieldCartesianCompositionPaths`).
+ */
+const createCompositionPath = (plan, path, skipped) => {
+  const fns = outermostFirstFns(plan, path);
+  return {
+    path,
+    skipped,
+    innermostFirst: innermostFirst(plan, path),
+    fns,
+    fn: compose(...fns),
+    key: plan.labels ? compositionPathKey(plan, path) : null,
+    guarded: path.some(node => node.guards.length),
+    plan,
+  };
+};
+
+/**
+ * Returns the skipped nodes of a path obtained by skipping the given optional nodes of a full path.
+ *
+ * @param {Object[]} fullPath The full path (a node for each argument).
+ * @param {number[]} optionalsCombination The positions of the skipped nodes within the full path.
+ * @return {Object[]} The skipped nodes (see `yieldCartesianCompositionPaths`).
+ */
+const skippedNodes = (fullPath, optionalsCombination) =>
+  fullPath
+    .filter((node, i) => optionalsCombination.indexOf(i) !== -1)
+    .map(node => ({
+      node,
+      group: node.groupOptional,
+    }));
+
+/**
+ * Yields the permutations of the given items, in lexicographic order of their positions.
+ *
+ * @param {Array} items The items.
+ * @return {Generator} A generator yielding each permutation (a new array).
+ */
+const yieldPermutations = function* (items) {
+  if (items.length <= 1) {
+    yield [...items];
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = items.slice(0, i).concat(items.slice(i + 1));
+    for (const permutation of yieldPermutations(rest)) {
+      yield [items[i], ...permutation];
+    }
+  }
+};
+
+/**
+ * Yields the orders in which the arguments of a compiled cartesian composition are composed:
+ * the order of the arguments first, then each other permutation of the permutable arguments (PERMUTABLE option)
+ * within their positions, the other arguments keeping theirs.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @return {Generator} A generator yielding the indexes of the arguments in each order.
+ */
+const yieldArgsOrders = function* (plan) {
+  const { nodes, permutableArgs } = plan;
+  for (const permutation of yieldPermutations(permutableArgs)) {
+    const order = nodes.map((argNodes, argIndex) => argIndex);
+    permutableArgs.forEach((argIndex, k) => {
+      order[argIndex] = permutation[k];
+    });
+    yield order;
+  }
+};
+
+/**
+ * Tells whether a path satisfies the constraints of a compiled cartesian composition.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} path The nodes of the path.
+ * @return {boolean} True if the path satisfies the constraints (or if there aren't constraints), false otherwise.
+ */
+const satisfiesPlanConstraints = (plan, path) =>
+  !plan.constraints ||
+  satisfiesConstraints(plan.constraints, outermostFirstFns(plan, path));
+
+/**
+ * Extends a partial path of a compiled cartesian composition with each node of the next argument,
+ * leaving out the extended partial paths which are pruned (`where` predicate and exclusions).
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {number[]} order The indexes of the arguments, from the outermost to the innermost in the "compose" direction.
+ * @param {Object[]} path The nodes of the partial path.
+ * @return {Array.<Object[]>} The extended partial paths, in the order of the nodes of the next argument.
+ */
+const extendedPaths = (plan, order, path) => {
+  const { nodes, factories, linkLeaders, where, constraints } = plan;
+  const argIndex = order[path.length];
+  const linkedNode = path.find(
+    node => linkLeaders[node.argIndex] === linkLeaders[argIndex]
+  );
+  const argNodes = factories[argIndex]
+    ? dependentArgNodes(plan, argIndex, path)
+    : linkedNode
+    ? // Linked argument, its node is at the same position as the node of the argument linked to it.
+      [nodes[argIndex][nodes[linkedNode.argIndex].indexOf(linkedNode)]]
+    : nodes[argIndex];
+  const nextPaths = [];
+  for (const node of argNodes) {
+    const nextPath = path.concat([node]);
+    if (
+      (where && !where(nextPath)) ||
+      // Exclusions violated by nodes which cannot be skipped.
+      (constraints &&
+        violatesExclusions(
+          constraints,
+          nextPath.filter(node => !node.optional).flatMap(node => node.fns)
+        ))
+    ) {
+      // Pruned subtree.
+      continue;
+    }
+    nextPaths.push(nextPath);
+  }
+  return nextPaths;
+};
+
+/**
+ * Yields the paths of a compiled cartesian composition derived from a full path (a node for each argument):
+ * the full path itself, then the paths obtained by skipping its optional nodes which have not been yielded yet.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} fullPath The full path.
+ * @param {Object} alreadyComposedPathsMap The map of the paths obtained by skipping optional nodes which have already
+ *                                         been yielded.
+ * @return {Generator} A generator yielding the paths (see `yieldCartesianCompositionPaths`).
+ */
+const yieldFullPathCompositionPaths = function* (
+  plan,
+  fullPath,
+  alreadyComposedPathsMap
+) {
+  const { where } = plan;
+  const optionals = [];
+  for (let i = 0; i < fullPath.length; i++) {
+    if (fullPath[i].optional) {
+      optionals.push(i);
+    }
+  }
+  if (satisfiesPlanConstraints(plan, fullPath)) {
+    yield createCompositionPath(plan, fullPath, []);
+  }
+  const optionalsCombinations =
+    yieldUniqueProgressiveIncrementalCombinations(optionals);
+  for (const optionalsCombination of optionalsCombinations) {
+    const path = fullPath.filter(
+      (node, i) => optionalsCombination.indexOf(i) === -1
+    );
+    const keys = [path.length].concat(
+      path.flatMap(node => [node.argIndex, node.id])
+    );
+    if (!hasNestedPropertyValue(alreadyComposedPathsMap, keys)) {
+      setNestedPropertyValue(alreadyComposedPathsMap, keys, true);
+      if ((where && !where(path)) || !satisfiesPlanConstraints(plan, path)) {
+        continue;
+      }
+      yield createCompositionPath(
+        plan,
+        path,
+        skippedNodes(fullPath, optionalsCombination)
+      );
+    }
+  }
+};
+
+/**
+ * Yields the paths of a compiled cartesian composition for a given order of its arguments.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {number[]} order The indexes of the arguments, from the outermost to the innermost in the "compose" direction.
+ * @param {Object} alreadyComposedPathsMap The map of the paths obtained by skipping optional nodes which have already
+ *                                         been yielded, shared by all the orders.
+ * @return {Generator} A generator yielding the paths (see `yieldCartesianCompositionPaths`).
+ */
+const yieldOrderedCompositionPaths = function* (
+  plan,
+  order,
+  alreadyComposedPathsMap
+) {
+  const l = order.length;
+  const stack = [[]];
+  while (stack.length) {
+    const currentPath = stack.pop();
+    if (currentPath.length === l) {
+      yield* yieldFullPathCompositionPaths(
+        plan,
+        currentPath,
+        alreadyComposedPathsMap
+      );
+    } else {
+      // Pushed in reverse order, so that the first node is the first one to be popped.
+      stack.push(...extendedPaths(plan, order, currentPath).reverse());
+    }
+  }
+};
+
+/**
+ * Yields the paths of a compiled cartesian composition.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @return {Generator} A generator yielding an object for each path of the cartesian composition,
+ *                     in the same order as the results of the cartesian composition, with the following properties:
+ *
+ *                         - path: The nodes to compose (see `compileCartesianComposition`), in the order in which
+ *                                 their arguments are composed (see `yieldArgsOrders`);
+ *                         - skipped: The optional nodes which have been skipped, each one being an object
+ *                                    with the skipped node (`node`) and a boolean (`group`) telling whether it has been
+ *                                    skipped because its entire argument array is optional (`true`)
+ *                                    or because the specific function or composition of functions is optional (`false`);
+ *                         - innermostFirst: The nodes to compose, from the innermost to the outermost;
+ *                         - fns: The functions to compose, from the outermost to the innermost;
+ *                         - fn: The composition of the functions;
+ *                         - key: The key of the result for label-keyed arguments (see `compositionPathKey`), `null` otherwise;
+ *                         - guarded: Whether some of the nodes have guards (GUARD option);
+ *                         - plan: The compiled cartesian composition;
+ */
+const yieldCartesianCompositionPaths = function* (plan) {
+  if (!plan.nodes.length) {
+    return;
+  }
+  const alreadyComposedPathsMap = {};
+  for (const order of yieldArgsOrders(plan)) {
+    yield* yieldOrderedCompositionPaths(plan, order, alreadyComposedPathsMap);
+  }
+};
+
+/**
+ * Describes a node of a path.
+ *
+ * @param {Object} node The node.
+ * @return {Object} An object with the index of the argument (`argIndex`), the index of the function
+ *                  or composition of functions within that argument (`index`) and the names of the functions
+ *                  of the node (`names`, `null` for the functions without a name), as well as the label of the argument
+ *                  (`label`) for label-keyed arguments. For an argument with the REPEAT option, `index` is the index
+ *                  of the sequence among the sequences of the argument and the indexes of the functions or compositions
+ *                  of functions of the sequence within the argument are given as well (`sequence`). For a path of a nested product,
+ *                  `index` is the index of the nested product within the argument and the nested path is described as well
+ *                  (`nested`, with its index among the paths of the nested product, `index`, the descriptions of its nodes,
+ *                  `path`, and of its skipped optional nodes, `skipped`, see `describeCompositionPath`).
+ */
+const describeNode = node => ({
+  argIndex: node.argIndex,
+  ...(typeof node.label !== "undefined" && { label: node.label }),
+  index: node.index,
+  ...(node.members && {
+    sequence: node.members.map(member => member.index),
+  }),
+  ...(node.nested && {
+    nested: {
+      index: node.nestedIndex,
+      path: node.nested.path.map(describeNode),
+      skipped: node.nested.skipped.map(({ node: skippedNode, group }) => ({
+        ...describeNode(skippedNode),
+        group,
+      })),
+    },
+  }),
+  names: node.fns.map(fn => fn.name || null),
+});
+
+/**
+ * Describes a path.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @return {Object} An object with the descriptions of the composed nodes (`path`, see `describeNode`)
+ *                  and the descriptions of the skipped optional nodes (`skipped`, see `describeNode`,
+ *                  with an additional `group` property telling whether the node has been skipped
+ *                  because its entire argument array is optional and a `guard` property set to true
+ *                  if the node has been skipped because one of its guards failed).
+ */
+const describeCompositionPath = compositionPath => ({
+  path: compositionPath.path.map(describeNode),
+  skipped: compositionPath.skipped.map(({ node, group, guard }) => ({
+    ...describeNode(node),
+    group,
+    ...(guard && { guard }),
+  })),
+});
+
+/**
+ * Sorts the paths of a compiled cartesian composition according to its order (stable sort,
+ * the paths which are equivalent for the order keep their depth-first order):
+ *
+ *     - "shortest-first": The paths with the fewest functions to compose come first;
+ *     - "group-major": The paths are sorted like the digits of an odometer, the node of the first argument varying fastest
+ *                      and a skipped argument coming before its nodes;
+ *     - A comparator function: Called with the descriptions of two paths, each one being an object with the descriptions
+ *                              of the composed nodes (`path`) and of the skipped optional nodes (`skipped`),
+ *                              see `describeCompositionPath`;
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object[]} compositionPaths The paths in depth-first order (see `yieldCartesianCompositionPaths`).
+ * @return {Object[]} The sorted paths.
+ */
+const sortCompositionPaths = (plan, compositionPaths) => {
+  const { nodes, order } = plan;
+  let sortKey;
+  let compare;
+  if (typeof order === "function") {
+    sortKey = describeCompositionPath;
+    compare = order;
+  } else if (order === SHORTEST_FIRST_ORDER) {
+    sortKey = compositionPath => compositionPath.fns.length;
+    compare = (a, b) => a - b;
+  } else {
+    sortKey = compositionPath => {
+      // Position of the node of each argument, -1 for the skipped arguments.
+      const argPositions = nodes.map(() => -1);
+      for (const node of compositionPath.path) {
+        argPositions[node.argIndex] = node.position;
+      }
+      return argPositions;
+    };
+    compare = (a, b) => {
+      for (let argIndex = a.length - 1; argIndex >= 0; argIndex--) {
+        if (a[argIndex] !== b[argIndex]) {
+          return a[argIndex] - b[argIndex];
+        }
+      }
+      return 0;
+    };
+  }
+  return compositionPaths
+    .map(compositionPath => ({
+      compositionPath,
+      key: sortKey(compositionPath),
+    }))
+    .sort((a, b) => compare(a.key, b.key))
+    .map(({ compositionPath }) => compositionPath);
+};
+
+/**
+ * Returns the sorted paths of a compiled cartesian composition with an order other than "dfs",
+ * enumerating and sorting them only the first time they are needed.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @return {Object[]} The sorted paths (see `sortCompositionPaths`).
+ */
+const sortedCompositionPaths = plan => {
+  if (!plan.compositionPaths) {
+    plan.compositionPaths = sortCompositionPaths(plan, [
+      ...yieldCartesianCompositionPaths(plan),
+    ]);
+  }
+  return plan.compositionPaths;
+};
+
+/**
+ * Yields the paths of a compiled cartesian composition, enumerating them only the first time
+ * they are needed entirely and reusing them afterwards.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {boolean} [cache] Whether to keep the enumerated paths for the subsequent calls (`true` by default).
+ *                          The generators and the calls with the `reduce` option do not keep them, so that
+ *                          the memory they use does not grow with the number of results, but reuse the paths
+ *                          already kept, if any.
+ * @return {Generator} A generator yielding the paths of the cartesian composition (see `yieldCartesianCompositionPaths`).
+ */
+const yieldPlanCompositionPaths = function* (plan, cache = true) {
+  if (plan.compositionPaths) {
+    yield* plan.compositionPaths;
+    return;
+  }
+  if (plan.order !== DFS_ORDER) {
+    yield* cache
+      ? sortedCompositionPaths(plan)
+      : sortCompositionPaths(plan, [...yieldCartesianCompositionPaths(plan)]);
+    return;
+  }
+  if (!cache) {
+    yield* yieldCartesianCompositionPaths(plan);
+    return;
+  }
+  const compositionPaths = [];
+  for (const compositionPath of yieldCartesianCompositionPaths(plan)) {
+    compositionPaths.push(compositionPath);
+    yield compositionPath;
+  }
+  plan.compositionPaths = compositionPaths;
+};
+
+/**
+ * Tells whether the paths of a compiled cartesian composition have to be enumerated to be counted or indexed
+ * (`where` predicate, constraints, linked arguments, permutable arguments or dependent arguments).
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {boolean} [linksAllowed] Whether the linked arguments can be handled without enumerating the paths.
+ * @return {boolean} True if the paths have to be enumerated, false otherwise.
+ */
+const requiresEnumeration = (plan, linksAllowed = false) =>
+  !!(
+    plan.where ||
+    plan.constraints ||
+    plan.permutableArgs.length > 1 ||
+    plan.factories.some(factory => factory) ||
+    (!linksAllowed &&
+      plan.linkLeaders.some((leader, argIndex) => leader !== argIndex))
+  );
+
+/**
+ * Counts the paths of a compiled cartesian composition without calling any of its functions.
+ *
+ * Unless the paths have to be enumerated (see `requiresEnumeration`), the count is computed
+ * without enumerating them: each argument contributes a factor equal to the number of its nodes, plus one
+ * if at least one of its nodes is optional (the argument can be skipped), as the deduplicated paths
+ * obtained by skipping optional nodes are all the distinct combinations of kept nodes and skipped arguments.
+ *
+ * Linked arguments (LINKED option) contribute a single factor instead: for each position, the number of combinations
+ * of their kept and skipped nodes at that position, counting only once the combination skipping all of them.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @return {number} The number of paths, i.e. the number of results of the cartesian composition.
+ */
+const countCompositionPaths = plan => {
+  if (plan.compositionPaths) {
+    return plan.compositionPaths.length;
+  }
+  if (requiresEnumeration(plan, true)) {
+    let count = 0;
+    const compositionPaths = yieldCartesianCompositionPaths(plan);
+    while (!compositionPaths.next().done) {
+      count++;
+    }
+    return count;
+  }
+  const { nodes, linkLeaders } = plan;
+  if (!nodes.length) {
+    return 0;
+  }
+  let count = 1;
+  for (let argIndex = 0; argIndex < nodes.length; argIndex++) {
+    if (linkLeaders[argIndex] !== argIndex) {
+      // Counted along with its leader.
+      continue;
+    }
+    const linkedArgsNodes = nodes.filter(
+      (argNodes, otherArgIndex) => linkLeaders[otherArgIndex] === argIndex
+    );
+    let linkCount = 0;
+    let canBeSkipped = false;
+    for (let position = 0; position < nodes[argIndex].length; position++) {
+      const optionalsCount = linkedArgsNodes.filter(
+        argNodes => argNodes[position].optional
+      ).length;
+      const allOptional = optionalsCount === linkedArgsNodes.length;
+      linkCount += 2 ** optionalsCount - (allOptional ? 1 : 0);
+      canBeSkipped = canBeSkipped || allOptional;
+    }
+    count *= linkCount + (canBeSkipped ? 1 : 0);
+  }
+  return count;
+};
+
+/**
+ * Returns the n-th path of a compiled cartesian composition.
+ *
+ * Unless the paths have to be enumerated (see `requiresEnumeration`), the path is found
+ * without enumerating the paths preceding it: a full path owns (i.e. is the first one to yield) the deduplicated
+ * paths obtained by skipping any combination of its nodes which are the first optional node of their argument,
+ * therefore the number of paths yielded by all the full paths sharing a prefix is known (see `countCompositionPaths`)
+ * and the subtrees preceding the n-th path can be skipped entirely.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {number} n The index of the path (between 0 and the number of paths - 1).
+ * @return {Object} The path (see `yieldCartesianCompositionPaths`).
+ */
+const compositionPathAt = (plan, n) => {
+  if (plan.compositionPaths) {
+    return plan.compositionPaths[n];
+  }
+  if (plan.order !== DFS_ORDER) {
+    return sortedCompositionPaths(plan)[n];
+  }
+  if (requiresEnumeration(plan)) {
+    let i = 0;
+    for (const compositionPath of yieldCartesianCompositionPaths(plan)) {
+      if (i++ === n) {
+        return compositionPath;
+      }
+    }
+    return void 0;
+  }
+
+  const { nodes } = plan;
+  const l = nodes.length;
+  const firstOptionals = nodes.map(argNodes =>
+    argNodes.find(node => node.optional)
+  );
+  const suffixProducts = [];
+  suffixProducts[l] = 1;
+  for (let argIndex = l - 1; argIndex >= 0; argIndex--) {
+    suffixProducts[argIndex] =
+      suffixProducts[argIndex + 1] *
+      (nodes[argIndex].length + (firstOptionals[argIndex] ? 1 : 0));
+  }
+
+  const fullPath = [];
+  // Number of paths owned by each full path having the current prefix.
+  let multiplier = 1;
+  for (let argIndex = 0; argIndex < l; argIndex++) {
+    for (const node of nodes[argIndex]) {
+      const nodeMultiplier =
+        node === firstOptionals[argIndex] ? multiplier * 2 : multiplier;
+      const subtreeCount = nodeMultiplier * suffixProducts[argIndex + 1];
+      if (n < subtreeCount) {
+        fullPath.push(node);
+        multiplier = nodeMultiplier;
+        break;
+      }
+      n -= subtreeCount;
+    }
+  }
+  if (n === 0) {
+    return createCompositionPath(plan, fullPath, []);
+  }
+
+  const optionals = [];
+  for (let i = 0; i < fullPath.length; i++) {
+    if (fullPath[i].optional) {
+      optionals.push(i);
+    }
+  }
+  for (const optionalsCombination of yieldUniqueProgressiveIncrementalCombinations(
+    optionals
+  )) {
+    if (
+      optionalsCombination.every(i => fullPath[i] === firstOptionals[i]) &&
+      --n === 0
+    ) {
+      return createCompositionPath(
+        plan,
+        fullPath.filter((node, i) => optionalsCombination.indexOf(i) === -1),
+        skippedNodes(fullPath, optionalsCombination)
+      );
+    }
+  }
+  return void 0;
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (Mulberry32).
+ *
+ * @param {number} seed The seed.
+ * @return {Function} A function returning a pseudo-random number between 0 (inclusive) and 1 (exclusive) each time it is called.
+ */
+const seededRandom = seed => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Picks distinct random indexes (Floyd's algorithm).
+ *
+ * @param {number} count The number of indexes to pick from (the indexes go from 0 to `count - 1`).
+ * @param {number} k The number of indexes to pick.
+ * @param {Function} random The pseudo-random number generator (see `seededRandom`).
+ * @return {number[]} The picked indexes, sorted in ascending order.
+ */
+const sampleIndexes = (count, k, random) => {
+  const selected = new Set();
+  for (let j = count - Math.min(k, count); j < count; j++) {
+    const t = Math.floor(random() * (j + 1));
+    selected.add(selected.has(t) ? j : t);
+  }
+  return [...selected].sort((a, b) => a - b);
+};
+
+/**
+ * Returns the instrumentation hooks set through the options, if any.
+ *
+ * @param {Object} options The options.
+ * @return {Object|null} An object with the `onCall`, `onReturn`, `onPathStart` and `onPathEnd` hooks
+ *                       (see `createCartesianComposition`), or `null` if none of them has been set.
+ */
+const instrumentationHooks = options =>
+  options.onCall || options.onReturn || options.onPathStart || options.onPathEnd
+    ? {
+        onCall: options.onCall,
+        onReturn: options.onReturn,
+        onPathStart: options.onPathStart,
+        onPathEnd: options.onPathEnd,
+      }
+    : null;
+
+/**
+ * Creates the event passed to the `onCall` and `onReturn` hooks for a call of a function of a node.
+ *
+ * @param {Function} fn The function.
+ * @param {Object} node The node.
+ * @param {Array} args The arguments of the call.
+ * @param {Object[]} path The description of the path of the call (see `describeNode`).
+ * @return {Object} The event, with the description of the node (see `describeNode`), the function (`fn`),
+ *                  its arguments (`args`) and the description of the path (`path`). The same event is passed
+ *                  to both hooks, the `onReturn` hook receiving it with either the result of the call (`result`)
+ *                  or the error it threw (`error`).
+ */
+const callEvent = (fn, node, args, path) => ({
+  ...describeNode(node),
+  fn,
+  args,
+  path,
+});
+
+/**
+ * Creates the event passed to the `onPathStart` and `onPathEnd` hooks for the evaluation of a composition.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters passed to the innermost function of the composition.
+ * @return {Object} The event, with the description of the path (`path` and `skipped`, see `describeCompositionPath`)
+ *                  and the parameters (`params`). The same event is passed to both hooks, the `onPathEnd` hook
+ *                  receiving it with either the result of the composition (`result`) or the error it threw (`error`).
+ */
+const pathEvent = (compositionPath, params) => ({
+  ...describeCompositionPath(compositionPath),
+  params,
+});
+
+/**
+ * Calls the functions of a node from the innermost to the outermost, notifying the instrumentation hooks.
+ *
+ * @param {Object} node The node.
+ * @param {Array} params The parameters to pass to the innermost function of the node.
+ * @param {Object} hooks The instrumentation hooks (see `instrumentationHooks`).
+ * @param {Object[]} path The description of the path of the call (see `describeNode`).
+ * @return {*} The result of the outermost function of the node.
+ */
+const composeNodeInstrumented = (node, params, hooks, path) => {
+  let outerArgs = params;
+  let res = void 0;
+  for (let i = node.composeFns.length - 1; i >= 0; i--) {
+    const fn = node.composeFns[i];
+    const call = callEvent(fn, node, outerArgs, path);
+    if (hooks.onCall) {
+      hooks.onCall(call);
+    }
+    try {
+      res = call.result = fn(...outerArgs);
+    } catch (error) {
+      call.error = error;
+      throw error;
+    } finally {
+      if (hooks.onReturn) {
+        hooks.onReturn(call);
+      }
+    }
+    outerArgs = [res];
+  }
+  return res;
+};
+
+/**
+ * The result of a composition with guards (GUARD option) when some of them failed.
+ */
+class GuardedResult {
+  /**
+   * Constructor.
+   *
+   * @param {*} value The result of the composition.
+   * @param {Object[]} guardSkipped The nodes skipped because one of their guards failed.
+   * @param {boolean} dropped Whether the composition has been dropped because one of the guards failed.
+   */
+  constructor(value, guardSkipped, dropped) {
+    this.value = value;
+    this.guardSkipped = guardSkipped;
+    this.dropped = dropped;
+  }
+}
+
+/**
+ * Evaluates a node of a path with the result of the inner nodes, checking its guards first.
+ *
+ * @param {Object} node The node.
+ * @param {Array} args The arguments to pass to the innermost function of the node.
+ * @param {*} innerRes The result of the inner nodes (passed through if the node is skipped).
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {Object[]} path The description of the path (see `describeNode`).
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @return {Object} The evaluation of the node, with its result (`res`), the arguments to pass to the outer node
+ *                  (`outerArgs`) and whether the node has been skipped (`guardSkipped`) or the whole composition
+ *                  has to be dropped (`dropped`) because one of its guards failed.
+ */
+const evaluateNode = (node, args, innerRes, hooks, path, guardFailure) => {
+  if (!node.guards.every(guard => guard(...args))) {
+    return guardFailure === SKIP_GUARD_FAILURE
+      ? { res: innerRes, outerArgs: args, guardSkipped: true }
+      : { dropped: true };
+  }
+  const res = hooks
+    ? composeNodeInstrumented(node, args, hooks, path)
+    : node.fn(...args);
+  return { res, outerArgs: [res] };
+};
+
+/**
+ * Variant of `composeRes` evaluating the nodes of the path one by one, to notify the instrumentation hooks
+ * and to check the guards of the nodes (GUARD option) against the result of the inner nodes.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of the composition.
+ * @param {Map|null} memo The memo of the sub-compositions (see `composeRes`).
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @return {*} The result of the composition, or a `GuardedResult` if some of its guards failed.
+ */
+const composeResLayered = (
+  compositionPath,
+  params,
+  memo,
+  hooks,
+  guardFailure
+) => {
+  const event = pathEvent(compositionPath, params);
+  if (hooks && hooks.onPathStart) {
+    hooks.onPathStart(event);
+  }
+  try {
+    const guardSkipped = [];
+    let trie = memo;
+    let outerArgs = params;
+    let res = void 0;
+    for (const node of compositionPath.innermostFirst) {
+      let entry = trie && trie.get(node);
+      if (!entry) {
+        entry = {
+          ...evaluateNode(
+            node,
+            outerArgs,
+            res,
+            hooks,
+            event.path,
+            guardFailure
+          ),
+          children: new Map(),
+        };
+        if (trie) {
+          trie.set(node, entry);
+        }
+      }
+      if (entry.dropped) {
+        return (event.result = new GuardedResult(void 0, guardSkipped, true));
+      }
+      if (entry.guardSkipped) {
+        guardSkipped.push(node);
+      }
+      res = entry.res;
+      outerArgs = entry.outerArgs;
+      trie = trie && entry.children;
+    }
+    return (event.result = guardSkipped.length
+      ? new GuardedResult(res, guardSkipped, false)
+      : res);
+  } catch (error) {
+    event.error = error;
+    throw error;
+  } finally {
+    if (hooks && hooks.onPathEnd) {
+      hooks.onPathEnd(event);
+    }
+  }
+};
+
+/**
+ * Calls the precomputed composition of the given path with the given parameters.
+ *
+ * If a memo is given, the result of each sub-composition (the innermost nodes of the path)
+ * is stored in the memo and reused by all the paths sharing the same innermost nodes.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of the composition.
+ * @param {Map|null} memo The memo of the sub-compositions (a trie keyed by nodes, from the innermost node outward),
+ *                        or `null` not to memoize the sub-compositions.
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @return {*} The result of the composition, or a `GuardedResult` if some of its guards failed.
+ */
+const composeRes = (compositionPath, params, memo, hooks, guardFailure) => {
+  if (hooks || compositionPath.guarded) {
+    return composeResLayered(
+      compositionPath,
+      params,
+      memo,
+      hooks,
+      guardFailure
+    );
+  }
+  if (!memo) {
+    return compositionPath.fn(...params);
+  }
+  let trie = memo;
+  let outerArgs = params;
+  let res = void 0;
+  for (const node of compositionPath.innermostFirst) {
+    let entry = trie.get(node);
+    if (!entry) {
+      entry = {
+        res: node.fn(...outerArgs),
+        children: new Map(),
+      };
+      trie.set(node, entry);
+    }
+    res = entry.res;
+    outerArgs = [res];
+    trie = entry.children;
+  }
+  return res;
+};
+
+/**
+ * Stops an asynchronous composition between two of its steps if the given signal has been aborted.
+ *
+ * @param {AbortSignal|null} signal The signal (see the `signal` option of `createCartesianComposition`).
+ * @return {undefined}
+ * @throws {CartesianCompositionLimitError} If the signal has been aborted.
+ */
+const throwIfAborted = signal => {
+  if (signal && signal.aborted) {
+    throw new CartesianCompositionLimitError("signal");
+  }
+};
+
+/**
+ * Calls the given functions from the last to the first, each one with the resolved value
+ * of the function preceding it.
+ *
+ * @param {Function[]} fns The functions.
+ * @param {Array} params The parameters to pass to the last function.
+ * @param {AbortSignal|null} [signal] The signal checked before each call, if any.
+ * @return {Promise} A promise resolving to the result of the first function.
+ */
+const composeFnsAsync = async (fns, params, signal = null) => {
+  let outerArgs = params;
+  let res = void 0;
+  for (let i = fns.length - 1; i >= 0; i--) {
+    throwIfAborted(signal);
+    res = await fns[i](...outerArgs);
+    outerArgs = [res];
+  }
+  return res;
+};
+
+/**
+ * Asynchronous variant of `composeNodeInstrumented`.
+ *
+ * @param {Object} node The node.
+ * @param {Array} params The parameters to pass to the innermost function of the node.
+ * @param {Object} hooks The instrumentation hooks (see `instrumentationHooks`).
+ * @param {Object[]} path The description of the path of the call (see `describeNode`).
+ * @param {AbortSignal|null} signal The signal checked before each call, if any.
+ * @return {Promise} A promise resolving to the result of the outermost function of the node.
+ */
+const composeNodeInstrumentedAsync = async (
+  node,
+  params,
+  hooks,
+  path,
+  signal
+) => {
+  let outerArgs = params;
+  let res = void 0;
+  for (let i = node.composeFns.length - 1; i >= 0; i--) {
+    throwIfAborted(signal);
+    const fn = node.composeFns[i];
+    const call = callEvent(fn, node, outerArgs, path);
+    if (hooks.onCall) {
+      hooks.onCall(call);
+    }
+    try {
+      res = call.result = await fn(...outerArgs);
+    } catch (error) {
+      call.error = error;
+      throw error;
+    } finally {
+      if (hooks.onReturn) {
+        hooks.onReturn(call);
+      }
+    }
+    outerArgs = [res];
+  }
+  return res;
+};
+
+/**
+ * Asynchronous variant of `evaluateNode` (the guards can return promises).
+ *
+ * @param {Object} node The node.
+ * @param {Array} args The arguments to pass to the innermost function of the node.
+ * @param {*} innerRes The result of the inner nodes (passed through if the node is skipped).
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {Object[]} path The description of the path (see `describeNode`).
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @param {AbortSignal|null} signal The signal checked before each step, if any.
+ * @return {Promise} A promise resolving to the evaluation of the node (see `evaluateNode`).
+ */
+const evaluateNodeAsync = async (
+  node,
+  args,
+  innerRes,
+  hooks,
+  path,
+  guardFailure,
+  signal
+) => {
+  for (const guard of node.guards) {
+    if (!(await guard(...args))) {
+      return guardFailure === SKIP_GUARD_FAILURE
+        ? { res: innerRes, outerArgs: args, guardSkipped: true }
+        : { dropped: true };
+    }
+  }
+  const res = hooks
+    ? await composeNodeInstrumentedAsync(node, args, hooks, path, signal)
+    : await composeFnsAsync(node.composeFns, args, signal);
+  return { res, outerArgs: [res] };
+};
+
+/**
+ * Asynchronous variant of `composeResLayered`.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of the composition.
+ * @param {Map|null} memo The memo of the sub-compositions (see `composeResAsync`).
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @param {AbortSignal|null} signal The signal checked before each step, if any.
+ * @return {Promise} A promise resolving to the result of the composition, or to a `GuardedResult`
+ *                   if some of its guards failed.
+ */
+const composeResLayeredAsync = async (
+  compositionPath,
+  params,
+  memo,
+  hooks,
+  guardFailure,
+  signal
+) => {
+  const event = pathEvent(compositionPath, params);
+  if (hooks && hooks.onPathStart) {
+    hooks.onPathStart(event);
+  }
+  try {
+    const guardSkipped = [];
+    let trie = memo;
+    let outerArgs = params;
+    let res = void 0;
+    for (const node of compositionPath.innermostFirst) {
+      let entry = trie && trie.get(node);
+      if (!entry) {
+        entry = {
+          evaluation: evaluateNodeAsync(
+            node,
+            outerArgs,
+            res,
+            hooks,
+            event.path,
+            guardFailure,
+            signal
+          ),
+          children: new Map(),
+        };
+        if (trie) {
+          trie.set(node, entry);
+        }
+      }
+      const evaluation = await entry.evaluation;
+      if (evaluation.dropped) {
+        return (event.result = new GuardedResult(void 0, guardSkipped, true));
+      }
+      if (evaluation.guardSkipped) {
+        guardSkipped.push(node);
+      }
+      res = evaluation.res;
+      outerArgs = evaluation.outerArgs;
+      trie = trie && entry.children;
+    }
+    return (event.result = guardSkipped.length
+      ? new GuardedResult(res, guardSkipped, false)
+      : res);
+  } catch (error) {
+    event.error = error;
+    throw error;
+  } finally {
+    if (hooks && hooks.onPathEnd) {
+      hooks.onPathEnd(event);
+    }
+  }
+};
+
+/**
+ * Promise-aware variant of `composeRes`: each function of the path is called
+ * with the resolved value of the function preceding it.
+ *
+ * If a memo is given, the promise of each sub-composition is stored in the memo
+ * and reused by all the paths sharing the same innermost nodes.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of the composition.
+ * @param {Map|null} memo The memo of the sub-compositions (see `composeRes`).
+ * @param {Object|null} hooks The instrumentation hooks (see `instrumentationHooks`), if any.
+ * @param {string} guardFailure What to do when a guard fails (see `createCartesianComposition`).
+ * @param {AbortSignal|null} signal The signal checked before each call of a function, if any,
+ *                                  stopping the composition as soon as it is aborted.
+ * @return {Promise} A promise resolving to the result of the composition, or to a `GuardedResult`
+ *                   if some of its guards failed.
+ */
+const composeResAsync = (
+  compositionPath,
+  params,
+  memo,
+  hooks,
+  guardFailure,
+  signal
+) => {
+  if (hooks || compositionPath.guarded) {
+    return composeResLayeredAsync(
+      compositionPath,
+      params,
+      memo,
+      hooks,
+      guardFailure,
+      signal
+    );
+  }
+  if (!memo) {
+    return composeFnsAsync(compositionPath.fns, params, signal);
+  }
+  let trie = memo;
+  let res = void 0;
+  for (const node of compositionPath.innermostFirst) {
+    let entry = trie.get(node);
+    if (!entry) {
+      const innerRes = res;
+      entry = {
+        res: innerRes
+          ? innerRes.then(value =>
+              composeFnsAsync(node.composeFns, [value], signal)
+            )
+          : composeFnsAsync(node.composeFns, params, signal),
+        children: new Map(),
+      };
+      trie.set(node, entry);
+    }
+    res = entry.res;
+    trie = entry.children;
+  }
+  return res || Promise.resolve();
+};
+
+/**
+ * Returns the result of a composition as it has to be returned to the caller,
+ * i.e. either the bare value or an entry with its provenance if the `withPath` option is set.
+ *
+ * @param {*} value The result of the composition.
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object} options The options.
+ * @return {*} The value or the entry (an object with the value (`value`) and the description of its path
+ *             (`path` and `skipped`, see `describeCompositionPath`)).
+ */
+const compositionResult = (value, compositionPath, options) =>
+  options.withPath
+    ? {
+        value,
+        ...describeCompositionPath(compositionPath),
+      }
+    : value;
+
+/**
+ * Tells whether the enumeration has to stop at the first composition which fails.
+ *
+ * @param {Object} options The options.
+ * @return {boolean} The value of the `failFast` option, which defaults to true unless the `settle` option is set.
+ */
+const isFailFast = options =>
+  options.failFast === null ? !options.settle : options.failFast;
+
+/**
+ * Returns the path actually composed when some of the nodes of a path have been skipped
+ * because one of their guards failed.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object[]} guardSkipped The nodes skipped because one of their guards failed.
+ * @return {Object} The path without the skipped nodes (see `yieldCartesianCompositionPaths`).
+ */
+const guardedCompositionPath = (compositionPath, guardSkipped) =>
+  createCompositionPath(
+    compositionPath.plan,
+    compositionPath.path.filter(node => guardSkipped.indexOf(node) === -1),
+    compositionPath.skipped.concat(
+      guardSkipped.map(node => ({ node, group: false, guard: true }))
+    )
+  );
+
+/**
+ * Creates the outcome of a composition which succeeded.
+ *
+ * @param {*} value The result of the composition (see `composeRes`).
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object} options The options.
+ * @return {Object} The outcome (see `evaluateComposition`).
+ */
+const fulfilledOutcome = (value, compositionPath, options) => {
+  if (value instanceof GuardedResult) {
+    if (value.dropped) {
+      return {
+        result: void 0,
+        rejected: false,
+        dropped: true,
+        compositionPath,
+      };
+    }
+    compositionPath = guardedCompositionPath(
+      compositionPath,
+      value.guardSkipped
+    );
+    value = value.value;
+  }
+  const result = compositionResult(value, compositionPath, options);
+  return {
+    result: options.settle
+      ? {
+          status: "fulfilled",
+          value: result,
+        }
+      : result,
+    rejected: false,
+    compositionPath,
+  };
+};
+
+/**
+ * Creates the outcome of a composition which failed.
+ *
+ * @param {*} reason The error thrown by the composition.
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object} options The options.
+ * @return {Object} The outcome (see `evaluateComposition`).
+ */
+const rejectedOutcome = (reason, compositionPath, options) => ({
+  result: options.settle
+    ? {
+        status: "rejected",
+        reason,
+        path: compositionPath.path.map(describeNode),
+      }
+    : void 0,
+  rejected: true,
+  reason,
+  compositionPath,
+});
+
+/**
+ * Evaluates a composition catching its error, if any, and calling the `onError` hook
+ * to obtain a fallback value.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object} options The options.
+ * @param {Function} evaluate A function evaluating the composition and returning its result.
+ * @return {Object} The outcome of the composition, an object with the result to return (`result`, a settled entry
+ *                  if the `settle` option is set), a boolean telling whether the composition failed (`rejected`),
+ *                  the error thrown by the composition, if any (`reason`), a boolean telling whether the composition
+ *                  has been dropped because one of its guards failed (`dropped`) and the path actually composed
+ *                  (`compositionPath`, without the nodes skipped because one of their guards failed).
+ */
+const evaluateComposition = (compositionPath, options, evaluate) => {
+  let value;
+  try {
+    value = evaluate();
+  } catch (reason) {
+    if (!options.onError) {
+      return rejectedOutcome(reason, compositionPath, options);
+    }
+    try {
+      value = options.onError(reason, compositionPath.path.map(describeNode));
+    } catch (onErrorReason) {
+      return rejectedOutcome(onErrorReason, compositionPath, options);
+    }
+  }
+  return fulfilledOutcome(value, compositionPath, options);
+};
+
+/**
+ * Asynchronous variant of `evaluateComposition`.
+ *
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {Object} options The options.
+ * @param {Function} evaluate A function evaluating the composition and returning a promise resolving to its result.
+ * @return {Promise} A promise resolving to the outcome of the composition (see `evaluateComposition`).
+ */
+const evaluateCompositionAsync = async (compositionPath, options, evaluate) => {
+  let value;
+  try {
+    value = await evaluate();
+  } catch (reason) {
+    // No fallback for the compositions stopped by the signal, their outcome being discarded.
+    if (!options.onError || (options.signal && options.signal.aborted)) {
+      return rejectedOutcome(reason, compositionPath, options);
+    }
+    try {
+      value = await options.onError(
+        reason,
+        compositionPath.path.map(describeNode)
+      );
+    } catch (onErrorReason) {
+      return rejectedOutcome(onErrorReason, compositionPath, options);
+    }
+  }
+  return fulfilledOutcome(value, compositionPath, options);
+};
+
+/**
+ * Tells what to do with the outcome of a composition.
+ *
+ * @param {Object} outcome The outcome (see `evaluateComposition`).
+ * @param {Object} options The options.
+ * @return {Object} An object with a boolean telling whether the result of the outcome has to be returned (`emit`)
+ *                  and a boolean telling whether the enumeration has to stop (`stop`).
+ * @throws {*} The error of the composition if it failed and neither the `settle` option is set
+ *             nor the `failFast` option is false.
+ */
+const outcomeAction = (outcome, options) => {
+  if (outcome.dropped) {
+    return { emit: false, stop: false };
+  }
+  if (!outcome.rejected) {
+    return { emit: true, stop: false };
+  }
+  const failFast = isFailFast(options);
+  if (!options.settle) {
+    if (failFast) {
+      throw outcome.reason;
+    }
+    // Failed compositions are left out of the results.
+    return { emit: false, stop: false };
+  }
+  return { emit: true, stop: failFast };
+};
+
+/**
+ * Creates the set of the paths actually composed during a call of a cartesian composition,
+ * needed only if some nodes can be skipped because one of their guards failed, as a composition
+ * can then become identical to another one.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} options The options.
+ * @return {Set|null} An empty set, or `null` if the paths cannot become identical.
+ */
+const composedPathsSet = (plan, options) =>
+  plan.guarded && options.guardFailure === SKIP_GUARD_FAILURE
+    ? new Set()
+    : null;
+
+/**
+ * Tells whether the path actually composed of a successful composition has already been composed
+ * during the same call, adding it to the set of the composed paths otherwise.
+ *
+ * @param {Set|null} composedPaths The set of the composed paths (see `composedPathsSet`).
+ * @param {Object} outcome The outcome of the composition (see `evaluateComposition`).
+ * @return {boolean} True if the path has already been composed, false otherwise.
+ */
+const isComposedAgain = (composedPaths, outcome) => {
+  if (!composedPaths || outcome.rejected) {
+    return false;
+  }
+  const key = outcome.compositionPath.path
+    .map(node => `${node.argIndex}:${node.id}`)
+    .join("/");
+  if (composedPaths.has(key)) {
+    return true;
+  }
+  composedPaths.add(key);
+  return false;
+};
+
+/**
+ * Returns the current time in milliseconds, using a high resolution timer.
+ *
+ * @return {number} The current time in milliseconds.
+ */
+const now = () => {
+  if (typeof performance !== "undefined" && performance.now) {
+    return performance.now();
+  }
+  const [seconds, nanoseconds] = process.hrtime();
+  return seconds * 1e3 + nanoseconds / 1e6;
+};
+
+/**
+ * Creates the tracker of the execution limits of a call of a cartesian composition (the `maxResults`, `maxPaths`,
+ * `timeBudgetMs` and `signal` options, see `createCartesianComposition`), started when it is created.
+ *
+ * @param {Object} options The options.
+ * @return {Object} The tracker, an object with the following methods:
+ *
+ *                      - next(): Tells whether a further composition can be evaluated, counting it if so;
+ *                      - add(): Tells whether a further result can be returned, counting it if so;
+ *                      - interrupted(): Tells whether the signal has been aborted or the time budget has elapsed;
+ *                      - interruption(): Returns an object with a promise resolving as soon as the call
+ *                                        is interrupted (`promise`) and a function to call once the promise
+ *                                        is not needed anymore (`clear`);
+ *                      - reached(): Returns the option of the limit which has been reached, or `null`;
+ */
+const createExecutionLimits = options => {
+  const start = now();
+  let paths = 0;
+  let results = 0;
+  let expired = false;
+  let reached = null;
+  const interrupted = () => {
+    if (options.signal && options.signal.aborted) {
+      reached = "signal";
+    } else if (expired || now() - start >= options.timeBudgetMs) {
+      reached = "timeBudgetMs";
+    } else {
+      return false;
+    }
+    return true;
+  };
+  return {
+    next: () => {
+      if (interrupted()) {
+        return false;
+      }
+      if (results >= options.maxResults) {
+        reached = "maxResults";
+        return false;
+      }
+      if (paths >= options.maxPaths) {
+        reached = "maxPaths";
+        return false;
+      }
+      paths++;
+      return true;
+    },
+    add: () => {
+      if (results >= options.maxResults) {
+        reached = "maxResults";
+        return false;
+      }
+      results++;
+      return true;
+    },
+    interrupted,
+    interruption: () => {
+      const { signal, timeBudgetMs } = options;
+      let clear = null;
+      const promise = new Promise(resolve => {
+        const expire = () => {
+          expired = true;
+          resolve();
+        };
+        const timeout =
+          timeBudgetMs < Infinity
+            ? setTimeout(expire, Math.max(0, start + timeBudgetMs - now()))
+            : null;
+        if (signal) {
+          signal.addEventListener("abort", resolve);
+        }
+        clear = () => {
+          clearTimeout(timeout);
+          if (signal) {
+            signal.removeEventListener("abort", resolve);
+          }
+        };
+      });
+      return { promise, clear };
+    },
+    reached: () => reached,
+  };
+};
+
+/**
+ * Yields the given paths as long as the execution limits of the call allow to evaluate them.
+ *
+ * @param {Iterable} compositionPaths The paths (see `yieldCartesianCompositionPaths`).
+ * @param {Object} limits The execution limits of the call (see `createExecutionLimits`).
+ * @return {Generator} A generator yielding the paths.
+ */
+const yieldLimitedCompositionPaths = function* (compositionPaths, limits) {
+  for (const compositionPath of compositionPaths) {
+    if (!limits.next()) {
+      return;
+    }
+    yield compositionPath;
+  }
+};
+
+/**
+ * Yields the given paths until the given function tells to stop.
+ *
+ * @param {Iterable} compositionPaths The paths (see `yieldCartesianCompositionPaths`).
+ * @param {Function} stopped A function returning true once no further path has to be yielded.
+ * @return {Generator} A generator yielding the paths.
+ */
+const yieldCompositionPathsUntil = function* (compositionPaths, stopped) {
+  for (const compositionPath of compositionPaths) {
+    if (stopped()) {
+      return;
+    }
+    yield compositionPath;
+  }
+};
+
+/**
+ * Sets the flag telling whether the results of a call of a cartesian composition are partial
+ * because an execution limit has been reached, as a non-enumerable `truncated` property.
+ *
+ * @param {Array|Object} results The results.
+ * @param {boolean} truncated Whether the results are partial.
+ * @return {Array|Object} The results.
+ */
+const withTruncatedFlag = (results, truncated) =>
+  Object.defineProperty(results, "truncated", {
+    value: truncated,
+    configurable: true,
+  });
+
+/**
+ * Returns the results of a call of a cartesian composition, unless an execution limit has been reached
+ * and the `limitReached` option is "throw".
+ *
+ * @param {*} results The results, if any (see `createResultsCollector`).
+ * @param {Object} limits The execution limits of the call (see `createExecutionLimits`).
+ * @param {Object} options The options.
+ * @return {*} The results.
+ * @throws {CartesianCompositionLimitError} If an execution limit has been reached and the `limitReached` option is "throw".
+ */
+const limitedResults = (results, limits, options) => {
+  const limit = limits.reached();
+  if (limit && options.limitReached === THROW_LIMIT_REACHED) {
+    throw new CartesianCompositionLimitError(limit, results);
+  }
+  return results;
+};
+
+/**
+ * Runs the asynchronous compositions of the given paths, at most `concurrency` at a time,
+ * and yields them as they settle.
+ *
+ * @param {Iterator} compositionPaths An iterator of paths (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of each composition.
+ * @param {number} concurrency The maximum number of compositions to run at once.
+ * @param {Map|null} memo The memo of the sub-compositions (see `composeResAsync`).
+ * @param {Object} limits The execution limits of the call (see `createExecutionLimits`).
+ *                        No further composition is run once a limit is reached and, if the signal is aborted
+ *                        or the time budget elapses, the running compositions are not awaited.
+ * @param {Object} options The options.
+ * @return {AsyncGenerator} An async generator yielding an object for each settled composition,
+ *                          with the index of the composition (`index`, the position it would have
+ *                          in the array returned by the synchronous cartesian composition)
+ *                          and its outcome (`outcome`, see `evaluateComposition`).
+ */
+const yieldSettledAsyncCompositions = async function* (
+  compositionPaths,
+  params,
+  concurrency,
+  memo,
+  limits,
+  options
+) {
+  const pending = new Map();
+  const hooks = instrumentationHooks(options);
+  const limitedCompositionPaths = yieldLimitedCompositionPaths(
+    compositionPaths,
+    limits
+  );
+  const interruption = limits.interruption();
+  try {
+    let index = 0;
+    let done = false;
+    while (!done || pending.size) {
+      // The paths are taken only when they can be run, so that no further path is run once the paths stop.
+      while (!done && pending.size < concurrency) {
+        const current = limitedCompositionPaths.next();
+        if (current.done) {
+          done = true;
+          break;
+        }
+        const currentIndex = index++;
+        const compositionPath = current.value;
+        pending.set(
+          currentIndex,
+          evaluateCompositionAsync(compositionPath, options, () =>
+            composeResAsync(
+              compositionPath,
+              params,
+              memo,
+              hooks,
+              options.guardFailure,
+              options.signal
+            )
+          ).then(outcome => ({ index: currentIndex, outcome }))
+        );
+      }
+      if (!pending.size) {
+        return;
+      }
+      const settled = await Promise.race([
+        ...pending.values(),
+        interruption.promise,
+      ]);
+      if (limits.interrupted()) {
+        return;
+      }
+      pending.delete(settled.index);
+      yield settled;
+    }
+  } finally {
+    interruption.clear();
+  }
+};
+
+/**
+ * Returns a result as it has to be yielded by the generators of the cartesian composition, i.e. either the result itself
+ * or a `[key, result]` pair for label-keyed arguments.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @param {*} result The result (see `compositionResult`).
+ * @return {*} The result or the `[key, result]` pair.
+ */
+const keyedResult = (plan, compositionPath, result) =>
+  plan.labels ? [compositionPath.key, result] : result;
+
+/**
+ * Collects the results of the cartesian composition, i.e. returns the given array of results as is
+ * or an object mapping the key of each result to the result for label-keyed arguments.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Array} results The results (see `keyedResult`).
+ * @return {Array|Object} The results.
+ */
+const collectResults = (plan, results) => {
+  if (!plan.labels) {
+    return results;
+  }
+  const ret = {};
+  for (const [key, result] of results) {
+    ret[key] = result;
+  }
+  return ret;
+};
+
+/**
+ * Returns the indexes of the result of a path within the results of the cartesian composition
+ * with the "nested" shape: for each argument, the position of its node among the nodes of the argument
+ * or, if the argument has been skipped, the number of its nodes (the slot following the one of its last node).
+ * For label-keyed arguments, the name of the node within the keys of the results, or a dash if the argument
+ * has been skipped (see `compositionPathKey`).
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @return {Array.<number|string>} The index of the result for each argument.
+ */
+const nestedResultIndexes = (plan, compositionPath) => {
+  const indexes = plan.nodes.map(() => void 0);
+  for (const node of compositionPath.path) {
+    indexes[node.argIndex] = plan.labels ? node.keyName : node.position;
+  }
+  for (const { node } of compositionPath.skipped) {
+    indexes[node.argIndex] = plan.labels ? "-" : node.argNodesCount;
+  }
+  return indexes;
+};
+
+/**
+ * Creates the collector of the results of a call of a cartesian composition, which adds the result of each composition
+ * to the value returned by the call as soon as it is evaluated, in the order of the results:
+ *
+ *     - With the `reduce` option: The value accumulated by the reducer, called with the accumulated value,
+ *                                 the result and the description of its path (see `describeCompositionPath`),
+ *                                 starting from the `initialValue` option (the results are not kept);
+ *     - With the "nested" shape: Nested arrays indexed by the position of the node of each argument,
+ *                                from the first argument to the last one, the results of the paths skipping
+ *                                an argument being at the index following the one of its last node
+ *                                (see `nestedResultIndexes`). The slots of the compositions which are not composed
+ *                                are left empty. For label-keyed arguments, nested objects keyed by the name of the node
+ *                                of each argument or by a dash if the argument has been skipped;
+ *     - Otherwise: The array of the results (an object for label-keyed arguments, see `collectResults`);
+ *
+ * Except for the value accumulated by the reducer, the results have a `truncated` flag telling whether they are partial
+ * because an execution limit has been reached (see `withTruncatedFlag`).
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} options The options.
+ * @return {Object} The collector, an object with a method adding the outcome of a composition (`add`, see `evaluateComposition`)
+ *                  and a method returning the value to return (`result`), called with the `truncated` flag.
+ */
+const createResultsCollector = (plan, options) => {
+  if (options.reduce) {
+    let acc = options.initialValue;
+    return {
+      add: outcome => {
+        acc = options.reduce(
+          acc,
+          outcome.result,
+          describeCompositionPath(outcome.compositionPath)
+        );
+      },
+      result: () => acc,
+    };
+  }
+  if (options.shape === NESTED_SHAPE) {
+    const createSlots = () => (plan.labels ? {} : []);
+    const ret = createSlots();
+    return {
+      add: outcome => {
+        const indexes = nestedResultIndexes(plan, outcome.compositionPath);
+        let slots = ret;
+        for (const index of indexes.slice(0, -1)) {
+          if (!slots[index]) {
+            slots[index] = createSlots();
+          }
+          slots = slots[index];
+        }
+        slots[indexes[indexes.length - 1]] = outcome.result;
+      },
+      result: truncated => withTruncatedFlag(ret, truncated),
+    };
+  }
+  const results = [];
+  return {
+    add: outcome => {
+      results.push(keyedResult(plan, outcome.compositionPath, outcome.result));
+    },
+    result: truncated =>
+      withTruncatedFlag(collectResults(plan, results), truncated),
+  };
+};
+
+/**
+ * Yields the outcomes of the compositions of the given paths of a compiled cartesian composition called
+ * with the given parameters, leaving out the outcomes which must not be returned.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Iterable} compositionPaths The paths (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of each composition.
+ * @param {Object} limits The execution limits of the call (see `createExecutionLimits`),
+ *                        checked before the evaluation of each composition.
+ * @param {Object} options The options.
+ * @return {Generator} A generator yielding the outcomes of the compositions (see `evaluateComposition`).
+ */
+const yieldCompositionOutcomes = function* (
+  plan,
+  compositionPaths,
+  params,
+  limits,
+  options
+) {
+  const memo = options.memoizeSubcompositions ? new Map() : null;
+  const hooks = instrumentationHooks(options);
+  const composedPaths = composedPathsSet(plan, options);
+  for (const compositionPath of yieldLimitedCompositionPaths(
+    compositionPaths,
+    limits
+  )) {
+    const outcome = evaluateComposition(compositionPath, options, () =>
+      composeRes(compositionPath, params, memo, hooks, options.guardFailure)
+    );
+    const { emit, stop } = outcomeAction(outcome, options);
+    if (emit && !isComposedAgain(composedPaths, outcome)) {
+      if (!limits.add()) {
+        return;
+      }
+      yield outcome;
+    }
+    if (stop) {
+      return;
+    }
+  }
+};
+
+/**
+ * Yields the results of the given paths of a compiled cartesian composition called with the given parameters.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Iterable} compositionPaths The paths (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of each composition.
+ * @param {Object} options The options.
+ * @return {Generator} A generator yielding the results of the cartesian composition (see `keyedResult`),
+ *                     which just stops once an execution limit is reached (see `limitedResults`).
+ */
+const yieldCompositionResults = function* (
+  plan,
+  compositionPaths,
+  params,
+  options
+) {
+  const limits = createExecutionLimits(options);
+  for (const outcome of yieldCompositionOutcomes(
+    plan,
+    compositionPaths,
+    params,
+    limits,
+    options
+  )) {
+    yield keyedResult(plan, outcome.compositionPath, outcome.result);
+  }
+  limitedResults(void 0, limits, options);
+};
+
+/**
+ * Collects the results of the given paths of a compiled cartesian composition called with the given parameters.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Iterable} compositionPaths The paths (see `yieldCartesianCompositionPaths`).
+ * @param {Array} params The parameters to pass to the innermost function of each composition.
+ * @param {Object} options The options.
+ * @return {*} The value returned by the cartesian composition (see `createResultsCollector` and `limitedResults`).
+ */
+const collectCompositionResults = (plan, compositionPaths, params, options) => {
+  const limits = createExecutionLimits(options);
+  const collector = createResultsCollector(plan, options);
+  for (const outcome of yieldCompositionOutcomes(
+    plan,
+    compositionPaths,
+    params,
+    limits,
+    options
+  )) {
+    collector.add(outcome);
+  }
+  return limitedResults(
+    collector.result(Boolean(limits.reached())),
+    limits,
+    options
+  );
+};
+
+/**
+ * Creates a binary heap keeping on top its greatest item according to the given comparator.
+ *
+ * @param {Function} compare The comparator, returning a positive number if its first item is greater than the second one.
+ * @return {Object} The heap, an object with methods returning the number of its items (`size`), adding an item (`push`)
+ *                  and removing and returning its greatest item (`pop`).
+ */
+const createHeap = compare => {
+  const items = [];
+  const swap = (i, j) => {
+    const item = items[i];
+    items[i] = items[j];
+    items[j] = item;
+  };
+  return {
+    size: () => items.length,
+    push: item => {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (compare(items[i], items[parent]) <= 0) {
+          break;
+        }
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          let greatest = i;
+          for (const child of [2 * i + 1, 2 * i + 2]) {
+            if (
+              child < items.length &&
+              compare(items[child], items[greatest]) > 0
+            ) {
+              greatest = child;
+            }
+          }
+          if (greatest === i) {
+            break;
+          }
+          swap(i, greatest);
+          i = greatest;
+        }
+      }
+      return top;
+    },
+  };
+};
+
+/**
+ * Finds the k compositions of a compiled cartesian composition with the best scores, exploring the tree
+ * of the partial paths best-first (branch and bound): the partial paths with the greatest upper bound
+ * of the score are extended first and, once k compositions have been scored, the partial paths whose upper bound
+ * is not greater than the k-th best score are pruned (including the paths obtained by skipping their optional nodes).
+ * Without an upper bound, the tree is explored depth-first and all the compositions are scored.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {number} k The number of compositions to return.
+ * @param {Function} score A function called with the result of each composition and the description of its path
+ *                         (see `describeCompositionPath`), returning its score (the greater, the better).
+ * @param {Function|null} bound A function called with each partial path (an array of nodes, like the `where` option,
+ *                              see `createCartesianComposition`), returning an upper bound of the scores of the compositions
+ *                              of the paths extending it, including the ones obtained by skipping their optional nodes.
+ * @param {Array} params The parameters to pass to the innermost function of each composition.
+ * @param {Object} options The options.
+ * @return {Object[]} The k best compositions (less if there are less compositions), from the best to the worst
+ *                    (compositions with the same score in the order in which they have been found), each one being an entry
+ *                    with the result (`value`), its score (`score`) and the description of its path (`path` and `skipped`,
+ *                    see `describeCompositionPath`). If an execution limit is reached, the best compositions scored so far
+ *                    (see `limitedResults`, the scored compositions counting as results for the `maxResults` option).
+ */
+const topCompositions = (plan, k, score, bound, params, options) => {
+  const best = [];
+  const limits = createExecutionLimits(options);
+  if (!k || !plan.nodes.length) {
+    return withTruncatedFlag(best, false);
+  }
+  // The entries are scored with bare results and the compositions which fail abort the search
+  // unless the `failFast` option is false.
+  const evaluationOptions = { ...options, withPath: false, settle: false };
+  const memo = options.memoizeSubcompositions ? new Map() : null;
+  const hooks = instrumentationHooks(options);
+  const composedPaths = composedPathsSet(plan, options);
+  const alreadyComposedPathsMap = {};
+  const threshold = () => (best.length < k ? -Infinity : best[k - 1].score);
+  let sequence = 0;
+  // Greatest upper bound first, then the most recently pushed partial path (depth-first for equal bounds).
+  const frontier = createHeap((a, b) =>
+    a.bound !== b.bound ? a.bound - b.bound : a.sequence - b.sequence
+  );
+  for (const order of yieldArgsOrders(plan)) {
+    frontier.push({ order, path: [], bound: Infinity, sequence: sequence++ });
+  }
+  while (frontier.size() && !limits.interrupted()) {
+    const { order, path: currentPath, bound: currentBound } = frontier.pop();
+    if (currentBound <= threshold()) {
+      // No partial path left can yield a better composition.
+      break;
+    }
+    if (currentPath.length < order.length) {
+      // Pushed in reverse order, so that the first node is the first one to be popped for equal bounds.
+      for (const nextPath of extendedPaths(
+        plan,
+        order,
+        currentPath
+      ).reverse()) {
+        const nextBound = bound ? bound(nextPath) : Infinity;
+        if (nextBound > threshold()) {
+          frontier.push({
+            order,
+            path: nextPath,
+            bound: nextBound,
+            sequence: sequence++,
+          });
+        }
+      }
+      continue;
+    }
+    for (const compositionPath of yieldLimitedCompositionPaths(
+      yieldFullPathCompositionPaths(plan, currentPath, alreadyComposedPathsMap),
+      limits
+    )) {
+      const outcome = evaluateComposition(
+        compositionPath,
+        evaluationOptions,
+        () =>
+          composeRes(compositionPath, params, memo, hooks, options.guardFailure)
+      );
+      if (
+        !outcomeAction(outcome, evaluationOptions).emit ||
+        isComposedAgain(composedPaths, outcome)
+      ) {
+        continue;
+      }
+      if (!limits.add()) {
+        break;
+      }
+      const description = describeCompositionPath(outcome.compositionPath);
+      const entry = {
+        value: outcome.result,
+        score: score(outcome.result, description),
+        ...description,
+      };
+      if (entry.score > threshold()) {
+        let position = best.length;
+        while (position > 0 && best[position - 1].score < entry.score) {
+          position--;
+        }
+        best.splice(position, 0, entry);
+        best.length = Math.min(best.length, k);
+      }
+    }
+    if (limits.reached()) {
+      break;
+    }
+  }
+  return limitedResults(
+    withTruncatedFlag(best, Boolean(limits.reached())),
+    limits,
+    options
+  );
+};
+
+/**
+ * Returns the name of a function of a node to use in the descriptions of the paths.
+ *
+ * @param {Function} fn The function.
+ * @param {Object} node The node.
+ * @return {string} The name of the function or, for an anonymous function, the label (or the index) of its argument
+ *                  followed by the index of the node within that argument (e.g. "source#1").
+ */
+const describedFnName = (fn, node) =>
+  fn.name ||
+  `${typeof node.label !== "undefined" ? node.label : node.argIndex}#${
+    node.index
+  }`;
+
+/**
+ * Returns the name of a node to use in the descriptions of the paths.
+ *
+ * @param {Object} node The node.
+ * @return {string} The names of the functions of the node joined by dots or, for a sequence of nodes (REPEAT option),
+ *                  the names of its nodes joined by plus signs.
+ */
+const describedNodeName = node =>
+  node.members
+    ? node.members.map(describedNodeName).join("+")
+    : node.fns.map(fn => describedFnName(fn, node)).join(".");
+
+/**
+ * Returns the symbolic expression of a path, e.g. "a(z(d(h(...))))".
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} compositionPath The path of the composition (see `yieldCartesianCompositionPaths`).
+ * @return {string} The expression, the functions being nested in the order in which they are applied.
+ */
+const compositionPathExpression = (plan, compositionPath) => {
+  const names = [...compositionPath.innermostFirst]
+    .reverse()
+    .flatMap(node => node.composeFns.map(fn => describedFnName(fn, node)));
+  return `${names.map(name => `${name}(`).join("")}...${")".repeat(
+    names.length
+  )}`;
+};
+
+/**
+ * Describes the paths of a compiled cartesian composition without calling any of its functions.
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {string} format The format of the description:
+ *
+ *                            - "text": An array with the expression of each path (see `compositionPathExpression`),
+ *                                      in the order of the results (an object keyed like the results
+ *                                      for label-keyed arguments, see `collectResults`);
+ *                            - "json": A tree of the paths, from the outermost nodes to the innermost ones, made of entries
+ *                                      having the description of a node (see `describeNode`), the entries of its children
+ *                                      nodes (`children`, in order of first appearance) and, if a path ends with that node,
+ *                                      the index of its result (`resultIndex`) and its key for label-keyed arguments (`key`).
+ *                                      The root entry has only children (and the index of the result of the path
+ *                                      skipping all the arguments, if any);
+ *                            - "markdown": A Markdown table with a row for each path, in the order of the results,
+ *                                          with the index of its result, the name of the node of each argument
+ *                                          (a dash if the argument has been skipped) and its expression;
+ *
+ * @return {Array|Object|string} The description.
+ * @throws {RangeError} If the format is unknown.
+ */
+const describeCompositionPaths = (plan, format) => {
+  if (format === TEXT_FORMAT) {
+    return collectResults(
+      plan,
+      [...yieldPlanCompositionPaths(plan)].map(compositionPath =>
+        keyedResult(
+          plan,
+          compositionPath,
+          compositionPathExpression(plan, compositionPath)
+        )
+      )
+    );
+  }
+  if (format === JSON_FORMAT) {
+    const root = { children: [] };
+    // Entries of the children of each entry, by node.
+    const childrenMaps = new Map([[root, new Map()]]);
+    let resultIndex = 0;
+    for (const compositionPath of yieldPlanCompositionPaths(plan)) {
+      let entry = root;
+      for (const node of [...compositionPath.innermostFirst].reverse()) {
+        const childrenMap = childrenMaps.get(entry);
+        let child = childrenMap.get(node);
+        if (!child) {
+          child = { ...describeNode(node), children: [] };
+          childrenMap.set(node, child);
+          childrenMaps.set(child, new Map());
+          entry.children.push(child);
+        }
+        entry = child;
+      }
+      entry.resultIndex = resultIndex++;
+      if (plan.labels) {
+        entry.key = compositionPath.key;
+      }
+    }
+    return root;
+  }
+  if (format === MARKDOWN_FORMAT) {
+    const escape = text => String(text).replace(/\|/g, "\\|");
+    const rows = [
+      [
+        "#",
+        ...plan.nodes.map((argNodes, argIndex) =>
+          plan.labels ? plan.labels[argIndex] : `Argument ${argIndex}`
+        ),
+        "Expression",
+      ],
+      plan.nodes.map(() => "---").concat(["---", "---"]),
+    ];
+    let resultIndex = 0;
+    for (const compositionPath of yieldPlanCompositionPaths(plan)) {
+      const argNames = plan.nodes.map(() => "-");
+      for (const node of compositionPath.path) {
+        argNames[node.argIndex] = describedNodeName(node);
+      }
+      rows.push([
+        resultIndex++,
+        ...argNames,
+        `\`${compositionPathExpression(plan, compositionPath)}\``,
+      ]);
+    }
+    return rows.map(row => `| ${row.map(escape).join(" | ")} |`).join("\n");
+  }
+  throw new RangeError(
+    `The format of the description must be either "${TEXT_FORMAT}", "${JSON_FORMAT}" or "${MARKDOWN_FORMAT}", "${format}" given.`
+  );
+};
+
+/**
+ * Creates a constraint (see the `constraints` option of `createCartesianComposition`) telling that the given functions
+ * are mutually exclusive, i.e. that at most one of them can appear in the same composition.
+ *
+ * @param {...Function} fns The mutually exclusive functions.
+ * @return {Object} The constraint.
+ */
+const exclude = (...fns) => ({
+  type: EXCLUDE_CONSTRAINT,
+  fns,
+});
+
+/**
+ * Creates a constraint (see the `constraints` option of `createCartesianComposition`) telling that the given function
+ * can only wrap paths containing the given required functions, i.e. that each composition where the function appears
+ * must also contain the required functions, inner to it.
+ *
+ * @param {Function} fn The function.
+ * @param {...Function} requiredFns The required functions.
+ * @return {Object} The constraint.
+ */
+const requires = (fn, ...requiredFns) => ({
+  type: REQUIRES_CONSTRAINT,
+  fns: [fn, ...requiredFns],
+});
+
+/**
+ * Creates a nested product, i.e. a cartesian composition to use as a function of an argument of another one,
+ * enumerating its paths once.
+ *
+ * @param {Array} args The arguments of the nested product (see `cartesianComposition`).
+ * @param {Object} options The options (see `createCartesianComposition`).
+ * @return {Object} The nested product, with its paths in the order of its results (`compositionPaths`),
+ *                  except the path skipping all its arguments, and a boolean telling whether it has such a path,
+ *                  i.e. whether it can be skipped entirely (`optional`).
+ * @throws {CartesianCompositionError} If the arguments are invalid, if the nested product has no paths
+ *                                     or if some of its functions have guards (GUARD option).
+ */
+const nestedProduct = (args, options) => {
+  const compositionPaths = [
+    ...yieldPlanCompositionPaths(compileCartesianComposition(args, options)),
+  ];
+  if (!compositionPaths.length) {
+    throw new CartesianCompositionError(
+      "a nested product must have at least one composition."
+    );
+  }
+  if (compositionPaths.some(compositionPath => compositionPath.guarded)) {
+    throw new CartesianCompositionError(
+      `the "cartesianComposition.GUARD" option cannot be set within a nested product.`
+    );
+  }
+  return {
+    type: NESTED_PRODUCT,
+    compositionPaths: compositionPaths.filter(
+      compositionPath => compositionPath.path.length
+    ),
+    optional: compositionPaths.some(
+      compositionPath => !compositionPath.path.length
+    ),
+  };
+};
+
+/**
+ * Creates a profiler collecting the number of calls and the cumulative time of each function
+ * and of each path of the cartesian compositions using its hooks (see the instrumentation hooks
+ * of `createCartesianComposition`).
+ *
+ * @return {Object} The profiler, an object with the following properties:
+ *
+ *                      - hooks: The `onCall`, `onReturn`, `onPathStart` and `onPathEnd` hooks to set as options;
+ *                      - report(): Returns the report, an object with an entry for each function (`functions`,
+ *                                  each one with the function (`fn`), its name (`name`), the number of calls (`calls`)
+ *                                  and their cumulative time in milliseconds (`totalTime`)) and an entry for each path
+ *                                  (`paths`, each one with the description of the path (`path` and `skipped`,
+ *                                  see `describeCompositionPath`), the number of evaluations (`calls`) and their cumulative
+ *                                  time in milliseconds (`totalTime`)), in order of first call;
+ *                      - reset(): Clears the collected data;
+ */
+const createProfiler = () => {
+  let functions = new Map();
+  let paths = new Map();
+  const startTimes = new WeakMap();
+  const start = event => startTimes.set(event, now());
+  const record = (entries, key, createEntry, event) => {
+    let entry = entries.get(key);
+    if (!entry) {
+      entry = { ...createEntry(), calls: 0, totalTime: 0 };
+      entries.set(key, entry);
+    }
+    entry.calls++;
+    entry.totalTime += now() - startTimes.get(event);
+  };
+  return {
+    hooks: {
+      onCall: start,
+      onReturn: call =>
+        record(
+          functions,
+          call.fn,
+          () => ({ fn: call.fn, name: call.fn.name || null }),
+          call
+        ),
+      onPathStart: start,
+      onPathEnd: event =>
+        record(
+          paths,
+          // The paths of a nested product share the index of the product within its argument.
+          event.path
+            .map(
+              node =>
+                `${node.argIndex}:${node.index}${
+                  node.nested ? `:${node.nested.index}` : ""
+                }`
+            )
+            .join("/"),
+          () => ({ path: event.path, skipped: event.skipped }),
+          event
+        ),
+    },
+    report: () => ({
+      functions: [...functions.values()],
+      paths: [...paths.values()],
+    }),
+    reset: () => {
+      functions = new Map();
+      paths = new Map();
+    },
+  };
+};
+
+/**
+ * Creates the function returned by the cartesian composition (the compiled composition).
+ *
+ * @param {Object} plan The compiled cartesian composition (see `compileCartesianComposition`).
+ * @param {Object} options The options.
+ * @return {Function} The compiled composition, a function which, if called, will return an array of the results
+ *                    of the cartesian composition (an object for label-keyed arguments, see `collectResults`,
+ *                    or the value collected according to the `shape` and `reduce` options, see `createResultsCollector`),
+ *                    with the following methods:
+ *
+ *                        - count(): Returns the number of results (see `countCompositionPaths`);
+ *                        - at(n): Returns a function which, if called, will return only the n-th result
+ *                                 (negative indexes count back from the last result);
+ *                        - sample(k, { seed }): Returns a function which, if called, will return k distinct results
+ *                                               chosen with a pseudo-random number generator seeded with the given seed,
+ *                                               in the order of the cartesian composition;
+ *                        - describe(format): Describes the compositions without calling any function
+ *                                            (see `describeCompositionPaths`, the format defaults to "text");
+ *                        - topK(k, score, { bound }): Returns a function which, if called, will return the k compositions
+ *                                                     with the best scores, found best-first (see `topCompositions`);
+ *
+ *                    E.g.:
+ *
+ *                        const composition = cartesianComposition(
+ *                          [a, b, c],
+ *                          [[cartesianComposition.OPTIONAL], d, e, f, g],
+ *                          [h, i]
+ *                        );
+ *                        composition.at(3)(1, 2, 3); // a(i(1, 2, 3))
+ *                        composition.sample(5, { seed: 42 })(1, 2, 3); // 5 results (always the same ones for seed 42).
+ *
+ *                    Only the compositions of the selected results are evaluated.
+ */
+const createCompiledComposition = (plan, options) => {
+  const composition = (...params) =>
+    collectCompositionResults(
+      plan,
+      // The reducer does not keep the results, hence the paths are not kept either.
+      yieldPlanCompositionPaths(plan, !options.reduce),
+      params,
+      options
+    );
+
+  composition.count = () => countCompositionPaths(plan);
+
+  composition.describe = (format = TEXT_FORMAT) =>
+    describeCompositionPaths(plan, format);
+
+  composition.at = n => {
+    const count = countCompositionPaths(plan);
+    const index = n < 0 ? count + n : n;
+    if (!(index >= 0 && index < count && Number.isInteger(index))) {
+      throw new RangeError(
+        `Index "${n}" out of range, the cartesian composition has ${count} results.`
+      );
+    }
+    return (...params) => {
+      const compositionPath = compositionPathAt(plan, index);
+      const outcome = evaluateComposition(compositionPath, options, () =>
+        composeRes(
+          compositionPath,
+          params,
+          null,
+          instrumentationHooks(options),
+          options.guardFailure
+        )
+      );
+      if (outcome.rejected && !options.settle) {
+        throw outcome.reason;
+      }
+      // `undefined` if the composition has been dropped because one of its guards failed.
+      return outcome.result;
+    };
+  };
+
+  composition.sample = (
+    k,
+    { seed = Math.floor(Math.random() * 4294967296) } = {}
+  ) => {
+    if (!(k >= 0 && Number.isInteger(k))) {
+      throw new RangeError(
+        `The number of results to sample must be a non-negative integer, "${k}" given.`
+      );
+    }
+    const indexes = sampleIndexes(
+      countCompositionPaths(plan),
+      k,
+      seededRandom(seed)
+    );
+    return (...params) =>
+      collectCompositionResults(
+        plan,
+        indexes.map(index => compositionPathAt(plan, index)),
+        params,
+        options
+      );
+  };
+
+  composition.topK = (k, score, { bound = null } = {}) => {
+    if (!(k >= 0 && Number.isInteger(k))) {
+      throw new RangeError(
+        `The number of results to select must be a non-negative integer, "${k}" given.`
+      );
+    }
+    return (...params) =>
+      topCompositions(plan, k, score, bound, params, options);
+  };
+
+  return composition;
+};
+
+/**
+ * @type {Object}
+ */
+const defaultOptions = {
+  concurrency: Infinity,
+  direction: COMPOSE_DIRECTION,
+  order: DFS_ORDER,
+  withPath: false,
+  memoizeSubcompositions: false,
+  where: null,
+  constraints: null,
+  validate: true,
+  settle: false,
+  failFast: null,
+  onError: null,
+  onCall: null,
+  onReturn: null,
+  onPathStart: null,
+  onPathEnd: null,
+  guardFailure: DROP_GUARD_FAILURE,
+  shape: FLAT_SHAPE,
+  reduce: null,
+  initialValue: void 0,
+  maxResults: Infinity,
+  maxPaths: Infinity,
+  timeBudgetMs: Infinity,
+  signal: null,
+  limitReached: TRUNCATE_LIMIT_REACHED,
+};
+
+/**
+ * Creates a cartesian composition function using the given options.
+ *
+ * @param {Object} options The options.
+ * @param {number} options.concurrency The maximum number of compositions to run at once in async mode.
+ * @param {string} options.direction The direction of the compositions: "compose" (the default, the functions of the last argument
+ *                                   are applied first, i.e. `a(d(h(...params)))`) or "pipe" (the functions of the first argument
+ *                                   are applied first and the inner compositions of functions are applied from left to right,
+ *                                   i.e. `h(d(a(...params)))`, see `cartesianPipe`). The order of the results does not change.
+ * @param {string|Function} options.order The order of the results: "dfs" (the default, depth-first, each path being followed
+ *                                        by the paths obtained by skipping its optional nodes), "shortest-first" (the results
+ *                                        of the compositions with the fewest functions first), "group-major" (the function
+ *                                        of the first argument varying fastest) or a comparator function called with
+ *                                        the descriptions of two paths (see `sortCompositionPaths`).
+ *                                        All the APIs (arrays, generators, `at` and `sample`) follow the same order.
+ *                                        Orders other than "dfs" need to enumerate all the paths (without calling
+ *                                        any function) before the first result.
+ * @param {boolean} options.withPath Whether to return an entry with the provenance of each result
+ *                                   instead of the bare result (see `compositionResult`).
+ * @param {boolean} options.memoizeSubcompositions Whether to evaluate each sub-composition (the innermost functions of a path)
+ *                                                 only once per call and reuse its result for all the outer functions
+ *                                                 wrapping it (useful for expensive pure functions).
+ * @param {Function|null} options.where A predicate called with each partial path (an array of nodes, from the outermost
+ *                                      to the innermost, each node having the index of the argument (`argIndex`),
+ *                                      the index of the function or composition of functions within that argument (`index`)
+ *                                      and the functions (`fns`)) as the paths are extended. If it returns false,
+ *                                      the partial path and all the paths extending it (including the paths obtained
+ *                                      by skipping their optional nodes) are pruned, i.e. never composed.
+ *                                      The paths obtained by skipping optional nodes are also checked as a whole:
+ *
+ *                                          // All the compositions, except those where "e" wraps "i".
+ *                                          const ret = cartesianComposition.withOptions({
+ *                                            where: path =>
+ *                                              !path.some(
+ *                                                (node, k) => node.fns[0] === e && path[k + 1] && path[k + 1].fns[0] === i
+ *                                              ),
+ *                                          })(
+ *                                            [a, b, c],
+ *                                            [[cartesianComposition.OPTIONAL], d, e, f, g],
+ *                                            [h, i]
+ *                                          )(1, 2, 3);
+ * @param {Object[]|null} options.constraints Declarative constraints between the functions to compose, created with
+ *                                            `cartesianComposition.exclude` and `cartesianComposition.requires`.
+ *                                            Each composition (including the ones obtained by skipping optional nodes)
+ *                                            which does not satisfy the constraints is not composed:
+ *
+ *                                                const ret = cartesianComposition.withOptions({
+ *                                                  constraints: [
+ *                                                    // "e" and "i" never appear in the same composition.
+ *                                                    cartesianComposition.exclude(e, i),
+ *                                                    // "f" only wraps paths containing "h".
+ *                                                    cartesianComposition.requires(f, h),
+ *                                                  ],
+ *                                                })(
+ *                                                  [a, b, c],
+ *                                                  [[cartesianComposition.OPTIONAL], d, e, f, g],
+ *                                                  [h, i]
+ *                                                )(1, 2, 3);
+ *
+ *                                            Contradictory constraints throw an error when the composition is built.
+ * @param {boolean} options.validate Whether to validate the arguments when the composition is built (`true` by default),
+ *                                   throwing a `CartesianCompositionError` which points at the invalid argument
+ *                                   (`argIndex`, `index`, `innerIndex` and `reason` properties) for non-function entries,
+ *                                   empty arguments or arrays of functions to compose, unknown option codes and options
+ *                                   padding arrays which are not the first element of their array. Can be set to `false`
+ *                                   to skip the validation in hot paths.
+ * @param {boolean} options.settle Whether to capture the error of each composition which fails instead of aborting the whole
+ *                                 cartesian composition (like `Promise.allSettled`), each result being either
+ *                                 `{ status: "fulfilled", value }` or `{ status: "rejected", reason, path }`
+ *                                 (`path` being the description of the nodes of the composition, see `describeNode`).
+ * @param {boolean|null} options.failFast Whether to stop at the first composition which fails. Defaults to `true`
+ *                                        unless the `settle` option is set. When set to `false` without the `settle` option,
+ *                                        the compositions which fail are left out of the results.
+ *                                        When set to `true` with the `settle` option, the rejected entry is the last result.
+ * @param {Function|null} options.onError A hook called with the error thrown by a composition and the description of its path.
+ *                                        The value it returns (or resolves to, in async mode) is used as the result
+ *                                        of the composition. If it throws, the composition fails with the thrown error.
+ * @param {Function|null} options.onCall An instrumentation hook called before each call of a function to compose
+ *                                       with the description of its node, the function, its arguments
+ *                                       and the description of its path (see `callEvent`).
+ * @param {Function|null} options.onReturn An instrumentation hook called after each call of a function to compose
+ *                                         with the same event as the `onCall` hook and the result of the call
+ *                                         or the error it threw (see `callEvent`).
+ * @param {Function|null} options.onPathStart An instrumentation hook called before the evaluation of each composition
+ *                                            with the description of its path and the parameters (see `pathEvent`).
+ * @param {Function|null} options.onPathEnd An instrumentation hook called after the evaluation of each composition
+ *                                          with the same event as the `onPathStart` hook and the result of the composition
+ *                                          or the error it threw (see `pathEvent`).
+ *                                          When any of the instrumentation hooks is set, the functions are called one by one
+ *                                          (a built-in profiler using these hooks can be created with `createProfiler`).
+ * @param {string} options.guardFailure What to do with a composition when a guard of one of its functions fails
+ *                                      (GUARD option, see `cartesianComposition`): "drop" (the default) leaves the composition
+ *                                      out of the results, while "skip" skips the function as if it were optional
+ *                                      (the skipped node being reported in the `skipped` nodes of the entries with a `guard`
+ *                                      property, see `describeCompositionPath`). A composition which becomes identical
+ *                                      to a preceding one once its functions are skipped is left out of the results.
+ * @param {string} options.shape The shape of the results: "flat" (the default, an array of the results) or "nested"
+ *                               (nested arrays indexed by the position of the function or composition of functions
+ *                               of each argument, i.e. `ret[i][j][k]` for three arguments, the index following
+ *                               the last one being the slot of the results skipping the argument, see `createResultsCollector`):
+ *
+ *                                   const ret = cartesianComposition.withOptions({ shape: "nested" })(
+ *                                     [a, b],
+ *                                     [[cartesianComposition.OPTIONAL], d, e],
+ *                                     [h]
+ *                                   )(1, 2, 3);
+ *
+ *                                   // `ret[0][1][0]`: a(e(h(1, 2, 3)))
+ *                                   // `ret[1][2][0]`: b(h(1, 2, 3))
+ *
+ *                               The generators always yield the results one by one.
+ * @param {Function|null} options.reduce A reducer called with the accumulated value, each result (in the order of the results)
+ *                                       and the description of its path (see `describeCompositionPath`), in which case
+ *                                       the cartesian composition returns the accumulated value instead of the results,
+ *                                       without keeping them (e.g. to find the best result or to build a histogram):
+ *
+ *                                           const best = cartesianComposition.withOptions({
+ *                                             reduce: (best, value) => Math.max(best, value),
+ *                                             initialValue: -Infinity,
+ *                                           })([a, b], [[cartesianComposition.OPTIONAL], d, e], [h])(1, 2, 3);
+ *
+ * @param {*} options.initialValue The initial accumulated value of the `reduce` option.
+ * @param {number} options.maxResults The maximum number of results of each call (`Infinity` by default).
+ * @param {number} options.maxPaths The maximum number of compositions to evaluate during each call (`Infinity` by default),
+ *                                  including the ones which fail or are dropped.
+ * @param {number} options.timeBudgetMs The maximum duration of each call in milliseconds (`Infinity` by default).
+ * @param {AbortSignal|null} options.signal A signal which stops the calls when it is aborted.
+ *                                          The execution limits are checked before the evaluation of each composition
+ *                                          (a function which is running is never interrupted). In async mode,
+ *                                          the signal is also checked before each call of a function of a composition
+ *                                          and the running compositions are not awaited once the signal is aborted
+ *                                          or the time budget has elapsed.
+ * @param {string} options.limitReached What to do when an execution limit is reached: "truncate" (the default) stops
+ *                                      the call and returns the partial results, which have a non-enumerable `truncated`
+ *                                      property set to `true` (`false` if no limit has been reached), while "throw"
+ *                                      throws a `CartesianCompositionLimitError` with the option of the limit (`limit`)
+ *                                      and the partial results (`results`). The generators just stop (or throw):
+ *
+ *                                          const controller = new AbortController();
+ *                                          const ret = cartesianComposition.withOptions({
+ *                                            maxResults: 1000,
+ *                                            timeBudgetMs: 5000,
+ *                                            signal: controller.signal,
+ *                                          })(
+ *                                            [a, b, c],
+ *                                            [[cartesianComposition.OPTIONAL], d, e, f, g],
+ *                                            [h, i]
+ *                                          )(1, 2, 3);
+ *
+ *                                          if (ret.truncated) {
+ *                                            // Partial results.
+ *                                          }
+ *
+ *                                      The value accumulated by the `reduce` option has no `truncated` property.
+ * @return {Function} The cartesian composition function.
+ */
+const createCartesianComposition = options => {
+  if (
+    options.direction !== COMPOSE_DIRECTION &&
+    options.direction !== PIPE_DIRECTION
+  ) {
+    throw new RangeError(
+      `The "direction" option must be either "${COMPOSE_DIRECTION}" or "${PIPE_DIRECTION}", "${options.direction}" given.`
+    );
+  }
+  if (
+    typeof options.order !== "function" &&
+    [DFS_ORDER, SHORTEST_FIRST_ORDER, GROUP_MAJOR_ORDER].indexOf(
+      options.order
+    ) === -1
+  ) {
+    throw new RangeError(
+      `The "order" option must be either "${DFS_ORDER}", "${SHORTEST_FIRST_ORDER}", "${GROUP_MAJOR_ORDER}" or a comparator function, "${options.order}" given.`
+    );
+  }
+  if (options.shape !== FLAT_SHAPE && options.shape !== NESTED_SHAPE) {
+    throw new RangeError(
+      `The "shape" option must be either "${FLAT_SHAPE}" or "${NESTED_SHAPE}", "${options.shape}" given.`
+    );
+  }
+  if (
+    options.guardFailure !== DROP_GUARD_FAILURE &&
+    options.guardFailure !== SKIP_GUARD_FAILURE
+  ) {
+    throw new RangeError(
+      `The "guardFailure" option must be either "${DROP_GUARD_FAILURE}" or "${SKIP_GUARD_FAILURE}", "${options.guardFailure}" given.`
+    );
+  }
+  if (
+    options.limitReached !== TRUNCATE_LIMIT_REACHED &&
+    options.limitReached !== THROW_LIMIT_REACHED
+  ) {
+    throw new RangeError(
+      `The "limitReached" option must be either "${TRUNCATE_LIMIT_REACHED}" or "${THROW_LIMIT_REACHED}", "${options.limitReached}" given.`
+    );
+  }
+  for (const limit of ["maxResults", "maxPaths", "timeBudgetMs"]) {
+    if (!(options[limit] >= 0)) {
+      throw new RangeError(
+        `The "${limit}" option must be greater than or equal to 0, "${options[limit]}" given.`
+      );
+    }
+  }
+  if (!(options.concurrency >= 1)) {
+    throw new RangeError(
+      `The "concurrency" option must be greater than or equal to 1, "${options.concurrency}" given.`
+    );
+  }
+
+  const cartesianCompositionWithOptions = (...args) =>
+    createCompiledComposition(
+      compileCartesianComposition(args, options),
+      options
+    );
+
+  /**
+   * Lazy variant of the cartesian composition of functions.
+   *
+   * The returned function accepts the same parameters as the function returned by `cartesianComposition`,
+   * but instead of an array it returns a generator which yields each result of the cartesian composition
+   * in the same order the array would contain it, evaluating the compositions on demand:
+   *
+   *     for (const res of cartesianComposition.iterate(
+   *       [a, b, c],
+   *       [[cartesianComposition.OPTIONAL], d, e, f, g],
+   *       [h, i]
+   *     )(1, 2, 3)) {
+   *       if (isWhatWeAreLookingFor(res)) {
+   *         // The remaining compositions will not be evaluated.
+   *         break;
+   *       }
+   *     }
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {Function} A function which, if called, will return a generator yielding the results of the cartesian composition.
+   */
+  cartesianCompositionWithOptions.iterate = (...args) => {
+    const plan = compileCartesianComposition(args, options);
+    return (...params) =>
+      yieldCompositionResults(
+        plan,
+        yieldPlanCompositionPaths(plan, false),
+        params,
+        options
+      );
+  };
+
+  /**
+   * Asynchronous variant of the cartesian composition of functions.
+   *
+   * Each function of a composition receives the resolved value of the function it wraps,
+   * therefore the functions to compose may return promises (or be `async` functions):
+   *
+   *     const ret = await cartesianComposition
+   *       .withOptions({ concurrency: 4 }) // At most 4 compositions will run at once.
+   *       .async(
+   *         [format, formatVerbose],
+   *         [[cartesianComposition.OPTIONAL], fetchDetails],
+   *         [fetchUser, fetchAdmin]
+   *       )(userId);
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {Function} A function which, if called, will return a promise resolving to an array of the results
+   *                    of the cartesian composition (in the same order as the synchronous cartesian composition),
+   *                    or rejecting with the error of the first composition which rejects in that order.
+   *                    Once a composition rejects, no further composition is run and, as the synchronous
+   *                    cartesian composition, the results are the ones of the compositions preceding it
+   *                    (followed by its rejected entry with the `settle` option).
+   */
+  cartesianCompositionWithOptions.async = (...args) => {
+    const plan = compileCartesianComposition(args, options);
+    return async (...params) => {
+      const limits = createExecutionLimits(options);
+      const collector = createResultsCollector(plan, options);
+      const composedPaths = composedPathsSet(plan, options);
+      // Adds the outcome of the composition following the ones already added, in the order of the results.
+      // Returns false if no further outcome has to be added (failFast or `maxResults` limit).
+      const add = outcome => {
+        const { emit, stop } = outcomeAction(outcome, options);
+        if (emit && !isComposedAgain(composedPaths, outcome)) {
+          if (!limits.add()) {
+            return false;
+          }
+          collector.add(outcome);
+        }
+        return !stop;
+      };
+      const failFast = isFailFast(options);
+      // Index of the first composition which failed so far, the compositions following it
+      // being neither run nor added.
+      let stopIndex = Infinity;
+      // Outcomes of the compositions which settled before the preceding ones, by index.
+      const settled = new Map();
+      let nextIndex = 0;
+      let done = false;
+      for await (const { index, outcome } of yieldSettledAsyncCompositions(
+        yieldCompositionPathsUntil(
+          yieldPlanCompositionPaths(plan, !options.reduce),
+          () => stopIndex < Infinity
+        ),
+        params,
+        options.concurrency,
+        options.memoizeSubcompositions ? new Map() : null,
+        limits,
+        options
+      )) {
+        if (index > stopIndex) {
+          continue;
+        }
+        if (failFast && outcome.rejected) {
+          stopIndex = index;
+        }
+        settled.set(index, outcome);
+        while (!done && settled.has(nextIndex)) {
+          done = !add(settled.get(nextIndex));
+          settled.delete(nextIndex++);
+        }
+        if (done) {
+          break;
+        }
+      }
+      // If the call has been interrupted, the outcomes following the first composition which has not settled
+      // are discarded, so that the partial results are always the first results of the cartesian composition.
+      return limitedResults(
+        collector.result(Boolean(limits.reached())),
+        limits,
+        options
+      );
+    };
+  };
+
+  /**
+   * Asynchronous lazy variant of the cartesian composition of functions.
+   *
+   * Same as `cartesianComposition.async`, but the returned function returns an async generator
+   * which yields the results of the compositions as they settle (i.e. not necessarily in the order
+   * of the synchronous cartesian composition).
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {Function} A function which, if called, will return an async generator yielding the results of the cartesian composition.
+   */
+  cartesianCompositionWithOptions.asyncIterate = (...args) => {
+    const plan = compileCartesianComposition(args, options);
+    return async function* (...params) {
+      const limits = createExecutionLimits(options);
+      const composedPaths = composedPathsSet(plan, options);
+      for await (const { outcome } of yieldSettledAsyncCompositions(
+        yieldPlanCompositionPaths(plan, false),
+        params,
+        options.concurrency,
+        options.memoizeSubcompositions ? new Map() : null,
+        limits,
+        options
+      )) {
+        const { emit, stop } = outcomeAction(outcome, options);
+        if (emit && !isComposedAgain(composedPaths, outcome)) {
+          if (!limits.add()) {
+            break;
+          }
+          yield keyedResult(plan, outcome.compositionPath, outcome.result);
+        }
+        if (stop) {
+          return;
+        }
+      }
+      limitedResults(void 0, limits, options);
+    };
+  };
+
+  /**
+   * Variant of the cartesian composition of functions returning the provenance of each result
+   * (same as setting the `withPath` option):
+   *
+   *     const ret = cartesianComposition.entries(
+   *       [a, b, c],
+   *       [[cartesianComposition.OPTIONAL], d, e, f, g],
+   *       [h, i]
+   *     )(1, 2, 3);
+   *
+   *     // ret[1]:
+   *     {
+   *       value: a(h(1, 2, 3)),
+   *       path: [
+   *         { argIndex: 0, index: 0, names: ["a"] },
+   *         { argIndex: 2, index: 0, names: ["h"] }
+   *       ],
+   *       skipped: [{ argIndex: 1, index: 1, names: ["d"], group: true }]
+   *     }
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {Function} A function which, if called, will return an array of entries (see `compositionResult`).
+   */
+  cartesianCompositionWithOptions.entries = (...args) =>
+    cartesianCompositionWithOptions.withOptions({ withPath: true })(...args);
+
+  /**
+   * Counts the results of the cartesian composition of the given arguments without calling any of the functions to compose
+   * (e.g. to refuse products which are too large before running them):
+   *
+   *     const count = cartesianComposition.count(
+   *       [a, b, c],
+   *       [[cartesianComposition.OPTIONAL], d, e, f, g],
+   *       [h, [[cartesianComposition.OPTIONAL], i]]
+   *     ); // 45, i.e. (3) * (4 + 1) * (2 + 1)
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {number} The number of results the array returned by the cartesian composition would have.
+   */
+  cartesianCompositionWithOptions.count = (...args) =>
+    countCompositionPaths(compileCartesianComposition(args, options));
+
+  /**
+   * Describes the compositions of the given arguments as symbolic expressions without calling any of the functions
+   * to compose, in the order of the results of the cartesian composition (e.g. to review a cartesian composition
+   * or to snapshot-test its traversal separately from its functions):
+   *
+   *     const expressions = cartesianComposition.describe(
+   *       [[a, z], b],
+   *       [[cartesianComposition.OPTIONAL], d, e],
+   *       [h]
+   *     );
+   *
+   *     // `expressions`:
+   *     [
+   *       "a(z(d(h(...))))",
+   *       "a(z(h(...)))",
+   *       "a(z(e(h(...))))",
+   *       "b(d(h(...)))",
+   *       "b(h(...))",
+   *       "b(e(h(...)))"
+   *     ]
+   *
+   * A JSON tree or a Markdown table can be obtained through the `describe` method of the compiled composition:
+   *
+   *     cartesianComposition(...args).describe("json");
+   *     cartesianComposition(...args).describe("markdown");
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments (see `cartesianComposition`).
+   * @return {Array|Object} The expressions (see `describeCompositionPaths`).
+   */
+  cartesianCompositionWithOptions.describe = (...args) =>
+    describeCompositionPaths(
+      compileCartesianComposition(args, options),
+      TEXT_FORMAT
+    );
+
+  /**
+   * Creates a new cartesian composition function with the given options
+   * merged with the options of this one.
+   *
+   * @param {Object} newOptions The options (see `createCartesianComposition`).
+   * @return {Function} The new cartesian composition function.
+   */
+  cartesianCompositionWithOptions.withOptions = newOptions =>
+    createCartesianComposition({ ...options, ...newOptions });
+
+  /**
+   * @type {number}
+   */
+  cartesianCompositionWithOptions.OPTIONAL = OPTIONAL;
+
+  /**
+   * @type {number}
+   */
+  cartesianCompositionWithOptions.REPEAT = REPEAT;
+
+  /**
+   * @type {number}
+   */
+  cartesianCompositionWithOptions.LINKED = LINKED;
+
+  /**
+   * @type {number}
+   */
+  cartesianCompositionWithOptions.PERMUTABLE = PERMUTABLE;
+
+  /**
+   * @type {number}
+   */
+  cartesianCompositionWithOptions.GUARD = GUARD;
+
+  cartesianCompositionWithOptions.CartesianCompositionError =
+    CartesianCompositionError;
+
+  cartesianCompositionWithOptions.CartesianCompositionLimitError =
+    CartesianCompositionLimitError;
+
+  /**
+   * Creates a profiler reporting the number of calls and the cumulative time of each function and of each path:
+   *
+   *     const profiler = cartesianComposition.createProfiler();
+   *     cartesianComposition.withOptions(profiler.hooks)(
+   *       [a, b, c],
+   *       [[cartesianComposition.OPTIONAL], d, e, f, g],
+   *       [h, i]
+   *     )(1, 2, 3);
+   *     const { functions, paths } = profiler.report();
+   *
+   * @return {Object} The profiler (see `createProfiler`).
+   */
+  cartesianCompositionWithOptions.createProfiler = createProfiler;
+
+  cartesianCompositionWithOptions.exclude = exclude;
+  cartesianCompositionWithOptions.requires = requires;
+
+  /**
+   * Selects the k compositions with the best scores, exploring the paths best-first and skipping the subtrees
+   * of the partial paths which cannot beat the k best compositions found so far according to the upper bound
+   * of their scores (branch and bound):
+   *
+   *     const best = cartesianComposition.topK(3, value => accuracy(value), {
+   *       // Upper bound of the accuracy of any pipeline extending the partial path.
+   *       bound: partialPath => maxAccuracy(partialPath),
+   *     })(
+   *       [tokenize, tokenizeWords],
+   *       [[cartesianComposition.OPTIONAL], stem, lemmatize],
+   *       [lowercase, identity]
+   *     )(corpus);
+   *
+   *     // `best`:
+   *     [
+   *       { value: ..., score: 0.92, path: [...], skipped: [...] },
+   *       { value: ..., score: 0.9, path: [...], skipped: [...] },
+   *       { value: ..., score: 0.87, path: [...], skipped: [...] }
+   *     ]
+   *
+   * @param {number} k The number of compositions to select.
+   * @param {Function} score A function returning the score of a result (see `topCompositions`).
+   * @param {Object} [topKOptions] The options of the selection.
+   * @param {Function|null} [topKOptions.bound] A function returning an upper bound of the scores of the compositions
+   *                                            of the paths extending a partial path (see `topCompositions`).
+   * @return {Function} A function which, given the arguments (see `cartesianComposition`), returns a function which,
+   *                    if called, will return the k best compositions (see `topCompositions`).
+   */
+  cartesianCompositionWithOptions.topK =
+    (k, score, topKOptions) =>
+    (...args) =>
+      cartesianCompositionWithOptions(...args).topK(k, score, topKOptions);
+
+  /**
+   * Creates a nested product to use as a function of an argument array (or prepended with an options padding array),
+   * each path of the nested product becoming a function or composition of functions of that argument,
+   * in the order of the results of the nested product:
+   *
+   *     const ret = cartesianComposition(
+   *       [a, cartesianComposition.product([x, y], [[cartesianComposition.OPTIONAL], p])],
+   *       [h]
+   *     )(1, 2, 3);
+   *
+   *     // `ret`:
+   *     [
+   *       a(h(1, 2, 3)),
+   *       x(p(h(1, 2, 3))),
+   *       x(h(1, 2, 3)),
+   *       y(p(h(1, 2, 3))),
+   *       y(h(1, 2, 3))
+   *     ]
+   *
+   * The nested product is compiled and its paths are enumerated with the options of this cartesian composition.
+   * If the nested product has a path skipping all its arguments, its paths are optional within the argument.
+   * The provenance of its paths is given in the `nested` property of the descriptions of their nodes (see `describeNode`).
+   *
+   * @param {...Array.<number[]|Function|Array.<number[]|Function>>} args The arguments of the nested product (see `cartesianComposition`).
+   * @return {Object} The nested product (see `nestedProduct`).
+   * @throws {CartesianCompositionError} If the arguments are invalid, if the nested product has no compositions
+   *                                     or if some of its functions have guards (GUARD option).
+   */
+  cartesianCompositionWithOptions.product = (...args) =>
+    nestedProduct(args, options);
+
+  return cartesianCompositionWithOptions;
+};
+
 /**
  * Cartesian composition of functions (cross composition/cartesian decorator).
  *
@@ -43,6 +4043,8 @@ import {
  *
  *                                                                          - A function to compose prepended with an optional padding array (explained below);
  *                                                                          - An array of functions to compose prepended with an optional padding array (explained below);
+ *                                                                          - A nested product (see `cartesianComposition.product`), whose paths become functions of the argument,
+ *                                                                            eventually as the only function of an array prepended with a padding array;
  *
  *                                                                      E.g.:
  *
@@ -174,6 +4176,31 @@ import {
  *                                                                                                           or specific composition of functions optional,
  *                                                                                                           meaning that it will be used for some compositions
  *                                                                                                           while skipped for others.
+ *                                                                          - cartesianComposition.REPEAT: followed by two integers, the minimum and maximum number of repetitions
+ *                                                                                                         (e.g. `[cartesianComposition.REPEAT, 1, 3]`), applies that entire argument array
+ *                                                                                                         several times in sequence, each repetition using any of its functions
+ *                                                                                                         or compositions of functions (can only be set for an entire argument array).
+ *                                                                                                         A minimum of zero makes the argument array optional.
+ *                                                                          - cartesianComposition.LINKED: followed by an integer link ID (e.g. `[cartesianComposition.LINKED, 1]`),
+ *                                                                                                         links that entire argument array to the other argument arrays
+ *                                                                                                         with the same link ID so that they vary together (zip-style):
+ *                                                                                                         the i-th function or composition of functions of each one
+ *                                                                                                         is always composed with the i-th of the others, instead of multiplying
+ *                                                                                                         the compositions (linked argument arrays must have the same length).
+ *                                                                          - cartesianComposition.PERMUTABLE: makes that entire argument array permutable: the compositions are generated
+ *                                                                                                             for every order of the permutable argument arrays within their positions,
+ *                                                                                                             the other argument arrays keeping theirs. The compositions of the first order
+ *                                                                                                             (the order of the arguments) come first and the compositions
+ *                                                                                                             which become identical once optional argument arrays are skipped
+ *                                                                                                             are returned only once.
+ *                                                                          - cartesianComposition.GUARD: followed by a guard function (e.g. `[cartesianComposition.GUARD, isString]`),
+ *                                                                                                        checks that entire argument array or specific function or specific composition
+ *                                                                                                        of functions against the value coming from the inner argument arrays
+ *                                                                                                        (the parameters for the innermost argument array) when the composition is called:
+ *                                                                                                        if the guard returns a falsy value, the composition is either dropped
+ *                                                                                                        or the function is skipped as if it were optional, depending on the `guardFailure` option.
+ *                                                                                                        Several guards can be given by repeating the option. As guards depend on the values,
+ *                                                                                                        `count` and `describe` do not take them into account.
  *
  *                                                                      An example is worth a thousand words:
  *
@@ -386,181 +4413,177 @@ import {
  *                                                                          )(1, 2, 3);
  *                                                                          console.log(res);
  *
+ *                                                                      E.g., with REPEAT:
+ *
+ *                                                                          const ret = cartesianComposition(
+ *                                                                            [a],
+ *                                                                            [[cartesianComposition.REPEAT, 1, 2], retry, backoff],
+ *                                                                            [h]
+ *                                                                          )(1, 2, 3);
+ *
+ *                                                                          // `ret`:
+ *                                                                          [
+ *                                                                            a(retry(h(1, 2, 3))),
+ *                                                                            a(backoff(h(1, 2, 3))),
+ *                                                                            a(retry(retry(h(1, 2, 3)))),
+ *                                                                            a(retry(backoff(h(1, 2, 3)))),
+ *                                                                            a(backoff(retry(h(1, 2, 3)))),
+ *                                                                            a(backoff(backoff(h(1, 2, 3))))
+ *                                                                          ]
+ *
+ *                                                                      Adding `cartesianComposition.OPTIONAL` to the padding array of an argument array with REPEAT
+ *                                                                      also allows skipping it (i.e. zero repetitions), whatever the minimum.
+ *
+ *                                                                      E.g., with LINKED:
+ *
+ *                                                                          const ret = cartesianComposition(
+ *                                                                            [[cartesianComposition.LINKED, 1], parseJSON, parseXML],
+ *                                                                            [a, b],
+ *                                                                            [[cartesianComposition.LINKED, 1], serializeJSON, serializeXML]
+ *                                                                          )(1, 2, 3);
+ *
+ *                                                                          // `ret`:
+ *                                                                          [
+ *                                                                            parseJSON(a(serializeJSON(1, 2, 3))),
+ *                                                                            parseJSON(b(serializeJSON(1, 2, 3))),
+ *                                                                            parseXML(a(serializeXML(1, 2, 3))),
+ *                                                                            parseXML(b(serializeXML(1, 2, 3)))
+ *                                                                          ]
+ *
+ *                                                                      E.g., with PERMUTABLE:
+ *
+ *                                                                          const ret = cartesianComposition(
+ *                                                                            [a],
+ *                                                                            [[cartesianComposition.PERMUTABLE], x, y],
+ *                                                                            [[cartesianComposition.PERMUTABLE, cartesianComposition.OPTIONAL], p],
+ *                                                                            [h]
+ *                                                                          )(1, 2, 3);
+ *
+ *                                                                          // `ret`:
+ *                                                                          [
+ *                                                                            a(x(p(h(1, 2, 3)))),
+ *                                                                            a(x(h(1, 2, 3))),
+ *                                                                            a(y(p(h(1, 2, 3)))),
+ *                                                                            a(y(h(1, 2, 3))),
+ *                                                                            a(p(x(h(1, 2, 3)))),
+ *                                                                            a(p(y(h(1, 2, 3))))
+ *                                                                          ]
+ *
+ *                                                                      E.g., with GUARD:
+ *
+ *                                                                          const ret = cartesianComposition(
+ *                                                                            [[[cartesianComposition.GUARD, isString], toUpper], identity],
+ *                                                                            [toString, toNumber]
+ *                                                                          )("a");
+ *
+ *                                                                          // `ret` ("drop", the default):
+ *                                                                          [
+ *                                                                            toUpper(toString("a")),
+ *                                                                            identity(toString("a")),
+ *                                                                            identity(toNumber("a"))
+ *                                                                          ]
+ *
+ *                                                                          // `ret` ("skip"):
+ *                                                                          [
+ *                                                                            toUpper(toString("a")),
+ *                                                                            toNumber("a"),
+ *                                                                            identity(toString("a")),
+ *                                                                            identity(toNumber("a"))
+ *                                                                          ]
+ *
+ *                                                                      An argument can also be a factory function instead of an array (a dependent argument), which is called
+ *                                                                      with the nodes chosen so far for the preceding arguments (in the order in which they are composed,
+ *                                                                      see the `where` option) and has to return the argument array for them, which may have its own padding arrays
+ *                                                                      (except for the LINKED and PERMUTABLE options). The factory is called lazily, only when a path reaches that argument,
+ *                                                                      therefore the valid pairings of the functions do not have to be precomputed. An empty array prunes the path:
+ *
+ *                                                                          const ret = cartesianComposition(
+ *                                                                            [json, xml],
+ *                                                                            chosen => chosen[0].fns[0] === json ? [[cartesianComposition.OPTIONAL], pretty, compact] : [attrs],
+ *                                                                            [h]
+ *                                                                          )(1, 2, 3);
+ *
+ *                                                                          // `ret`:
+ *                                                                          [
+ *                                                                            json(pretty(h(1, 2, 3))),
+ *                                                                            json(h(1, 2, 3)),
+ *                                                                            json(compact(h(1, 2, 3))),
+ *                                                                            xml(attrs(h(1, 2, 3)))
+ *                                                                          ]
+ *
+ *                                                                      As the factories only choose functions, `count` and `describe` still work without calling any of the composed functions
+ *                                                                      (the factories being called to enumerate the paths).
+ *
+ *                                                                      The arguments can also be given as a single plain object mapping a label to each argument array,
+ *                                                                      in which case the results are returned as an object keyed by a readable path
+ *                                                                      made of a `label=name` segment for each argument (the name of the function,
+ *                                                                      the names of the functions of a composition of functions joined by dots
+ *                                                                      or a dash if the argument has been skipped):
+ *
+ *                                                                          const res = cartesianComposition({
+ *                                                                            format: [a, b],
+ *                                                                            enrich: [[cartesianComposition.OPTIONAL], d, e],
+ *                                                                            source: [h, i]
+ *                                                                          })(1, 2, 3);
+ *
+ *                                                                          // `res`:
+ *                                                                          {
+ *                                                                            "format=a/enrich=d/source=h": a(d(h(1, 2, 3))),
+ *                                                                            "format=a/enrich=-/source=h": a(h(1, 2, 3)),
+ *                                                                            "format=a/enrich=d/source=i": a(d(i(1, 2, 3))),
+ *                                                                            "format=a/enrich=-/source=i": a(i(1, 2, 3)),
+ *                                                                            "format=a/enrich=e/source=h": a(e(h(1, 2, 3))),
+ *                                                                            ...
+ *                                                                          }
+ *
+ *                                                                      The repetitions of an argument array with the REPEAT option are named by joining
+ *                                                                      the names of the repeated functions with plus signs (e.g. "retry=retry+backoff").
+ *
+ *                                                                      Anonymous functions and functions with the same name within the same argument
+ *                                                                      are disambiguated by appending the index of the function within its argument array
+ *                                                                      (e.g. "source=#1" or "source=h#2").
+ *
  * @return {Function} The cartesian composition function which, if called, will return an array of the results of the cartesian composition.
  *                    An empty array will be returned when calling the returned function if this function is called with an empty array.
+ *                    For label-keyed arguments, the returned function will return an object instead of an array
+ *                    and the generators will yield `[key, result]` pairs.
+ *                    The arguments are compiled once, when this function is called, and the paths of the cartesian composition
+ *                    are enumerated only the first time the returned function is called, therefore subsequent calls
+ *                    only run the precomputed compositions with the given parameters.
  */
-const cartesianComposition =
-  (...args) =>
-  (...params) => {
-    const l = args.length;
-    if (!l) {
-      return [];
-    }
-    const ret = [];
-    const stack = [];
-    const optionsPaddingArrayMap = {};
-    const alreadyVisitedOptionsMap = {};
-    const alreadyVisitedCompositionOfFunctionsOptionsMap = {};
-    const alreadyComposedPathsMap = {};
-
-    const addToStack = (argIndex, path = []) => {
-      const arg = args[argIndex];
-      const l = arg.length;
-      for (let i = l - 1; i >= 0; i--) {
-        const possibleFn = arg[i];
-        const possibleFnIsArray = isArray(possibleFn);
-        if (
-          i === 0 &&
-          possibleFnIsArray &&
-          areArrayItemsAllCoercibleToNumber(possibleFn)
-        ) {
-          // Options padding array (it's always the first and it's an array).
-          if (!alreadyVisitedOptionsMap[argIndex]) {
-            const options = possibleFn;
-            for (const option of options) {
-              optionsPaddingArrayMap[argIndex] = optionsPaddingArrayMap[
-                argIndex
-              ] || {
-                optionsMap: {},
-                specificComposition: {},
-              };
-              optionsPaddingArrayMap[argIndex].optionsMap[option] = true;
-            }
-            alreadyVisitedOptionsMap[argIndex] = true;
-          }
-        } else {
-          // Function or array of functions to compose eventually prepended
-          // with an optional options padding array.
-          if (possibleFnIsArray) {
-            // Array of functions to compose.
-            const fns = [];
-            for (let j = 0; j < possibleFn.length; j++) {
-              const innerCompositionPossibleFn = possibleFn[j];
-              if (j === 0 && isArray(innerCompositionPossibleFn)) {
-                // Options padding array (it's always the first and it's an array).
-                if (
-                  !alreadyVisitedCompositionOfFunctionsOptionsMap[
-                    `${argIndex}.${i}`
-                  ]
-                ) {
-                  const options = innerCompositionPossibleFn;
-                  for (const option of options) {
-                    optionsPaddingArrayMap[argIndex] = optionsPaddingArrayMap[
-                      argIndex
-                    ] || {
-                      optionsMap: {},
-                      specificComposition: {},
-                    };
-                    optionsPaddingArrayMap[argIndex].specificComposition[i] =
-                      optionsPaddingArrayMap[argIndex].specificComposition[
-                        i
-                      ] || {
-                        optionsMap: {},
-                      };
-                    optionsPaddingArrayMap[argIndex].specificComposition[
-                      i
-                    ].optionsMap[option] = true;
-                  }
-                  alreadyVisitedCompositionOfFunctionsOptionsMap[
-                    `${argIndex}.${i}`
-                  ] = true;
-                }
-              } else {
-                // Function.
-                fns.push(innerCompositionPossibleFn);
-              }
-            }
-            // Composition of functions.
-            // Push to stack.
-            const node = {
-              fns,
-              argIndex,
-              index: i,
-            };
-            stack.push({
-              node,
-              path: path.concat([node]),
-            });
-          } else {
-            // Function.
-            // Push to stack.
-            const node = {
-              fns: [possibleFn],
-              argIndex,
-              index: i,
-            };
-            stack.push({
-              node,
-              path: path.concat([node]),
-            });
-          }
-        }
-      }
-    };
-
-    const hasOption = (optionCode, argIndex, index) => {
-      return hasNestedPropertyValue(
-        optionsPaddingArrayMap,
-        typeof index === "undefined"
-          ? [argIndex, "optionsMap", optionCode]
-          : [argIndex, "specificComposition", index, "optionsMap", optionCode]
-      );
-    };
-
-    const composeRes = path =>
-      compose(...path.flatMap(node => node.fns))(...params);
-
-    addToStack(0);
-    while (stack.length) {
-      const current = stack.pop();
-      const currentPath = current.path;
-      if (currentPath.length === l) {
-        const optionals = [];
-        for (let i = 0; i < currentPath.length; i++) {
-          const currentPathNode = currentPath[i];
-          if (
-            hasOption(
-              cartesianComposition.OPTIONAL,
-              currentPathNode.argIndex
-            ) ||
-            hasOption(
-              cartesianComposition.OPTIONAL,
-              currentPathNode.argIndex,
-              currentPathNode.index
-            )
-          ) {
-            optionals.push(i);
-          }
-        }
-        const compositionRes = composeRes(currentPath);
-        ret.push(compositionRes);
-        const optionalsCombinations =
-          yieldUniqueProgressiveIncrementalCombinations(optionals);
-        for (const optionalsCombination of optionalsCombinations) {
-          const path = currentPath.filter(
-            node => optionalsCombination.indexOf(node.argIndex) === -1
-          );
-          const keys = [path.length].concat(
-            path.flatMap(node => [node.argIndex, node.index])
-          );
-          if (!hasNestedPropertyValue(alreadyComposedPathsMap, keys)) {
-            const compositionRes = composeRes(path);
-            ret.push(compositionRes);
-            setNestedPropertyValue(alreadyComposedPathsMap, keys, true);
-          }
-        }
-      } else {
-        const nextIndex = current.node.argIndex + 1;
-        addToStack(nextIndex, currentPath);
-      }
-    }
-
-    return ret;
-  };
+const cartesianComposition = createCartesianComposition(defaultOptions);
 
 /**
- * @type {number}
+ * Cartesian pipe of functions, i.e. the cartesian composition of functions with the "pipe" direction:
+ * the functions of each argument are applied from the first argument to the last one (left to right),
+ * as well as the functions of each array of functions to compose:
+ *
+ *     const ret = cartesianPipe(
+ *       [h, i], // C
+ *       [[cartesianComposition.OPTIONAL], d, e, f, g], // B
+ *       [[a, z], b, c] // A
+ *     )(1, 2, 3);
+ *
+ *     // `ret` ("z" is applied after "a"):
+ *     [
+ *       z(a(d(h(1, 2, 3)))),
+ *       z(a(h(1, 2, 3))),
+ *       b(d(h(1, 2, 3))),
+ *       b(h(1, 2, 3)),
+ *       ...
+ *     ]
+ *
+ * The options padding arrays stay at index 0 of the arrays they apply to.
+ *
+ * The cartesian pipe is also available as `cartesianComposition.pipe` (e.g. for the UMD build,
+ * which only exposes the default export).
+ *
+ * @type {Function}
  */
-cartesianComposition.OPTIONAL = 1;
+export const cartesianPipe = cartesianComposition.withOptions({
+  direction: PIPE_DIRECTION,
+});
+
+cartesianComposition.pipe = cartesianPipe;
 
 export default cartesianComposition;
@@ -0,0 +1,106 @@
+import cartesianComposition from "../src/index";
+import { fns, sleep } from "./helpers";
+
+const { OPTIONAL } = cartesianComposition;
+const [a, b, c, d, e, h, i] = fns("a", "b", "c", "d", "e", "h", "i");
+
+/**
+ * Wraps a function in a named async function resolving to its result after the given milliseconds.
+ */
+const delayed = (f, ms) => {
+  const g = async (...res) => sleep(ms, f(...res));
+  Object.defineProperty(g, "name", { value: f.name });
+  return g;
+};
+
+describe("async", () => {
+  it("resolves to the results of the sync cartesian composition, in the same order", async () => {
+    const args = [
+      [a, b, c],
+      [[OPTIONAL], d, e],
+      [h, i],
+    ];
+    const expected = cartesianComposition(...args)(1, 2, 3);
+    // The outermost functions resolve in reverse order.
+    const ret = await cartesianComposition.async(
+      [delayed(a, 20), delayed(b, 10), delayed(c, 1)],
+      [[OPTIONAL], d, delayed(e, 5)],
+      [h, i]
+    )(1, 2, 3);
+    expect(ret).toEqual(expected);
+  });
+
+  it("runs at most `concurrency` compositions at once", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const tracked = ms => async value => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await sleep(ms);
+      running--;
+      return value;
+    };
+    const ret = await cartesianComposition
+      .withOptions({ concurrency: 3 })
+      .async(
+        [a, b, c, d],
+        [tracked(5), tracked(1)],
+        [h]
+      )(1);
+    expect(ret).toHaveLength(8);
+    expect(maxRunning).toBe(3);
+    expect(running).toBe(0);
+  });
+
+  it("rejects an invalid concurrency", () => {
+    expect(() => cartesianComposition.withOptions({ concurrency: 0 })).toThrow(
+      "concurrency"
+    );
+  });
+
+  it("yields the results as they settle with asyncIterate", async () => {
+    const results = [];
+    for await (const result of cartesianComposition.asyncIterate(
+      [delayed(a, 30), delayed(b, 1), delayed(c, 15)],
+      [h]
+    )(1)) {
+      results.push(result);
+    }
+    expect(results).toEqual(["b(h(1))", "c(h(1))", "a(h(1))"]);
+  });
+
+  it("evaluates each sub-composition once with memoizeSubcompositions", async () => {
+    let innerCalls = 0;
+    let middleCalls = 0;
+    const inner = async value => {
+      innerCalls++;
+      await sleep(5);
+      return `inner(${value})`;
+    };
+    const middle = value => {
+      middleCalls++;
+      return d(value);
+    };
+    Object.defineProperty(middle, "name", { value: "d" });
+    const args = [[a, b, c], [middle, e], [inner]];
+
+    const ret = await cartesianComposition
+      .withOptions({ memoizeSubcompositions: true })
+      .async(...args)(1);
+    expect(ret).toEqual(await cartesianComposition.async(...args)(1));
+    innerCalls = 0;
+    middleCalls = 0;
+    await cartesianComposition
+      .withOptions({ memoizeSubcompositions: true })
+      .async(...args)(1);
+    // The compositions run at once share the pending promise of each sub-composition.
+    expect(innerCalls).toBe(1);
+    expect(middleCalls).toBe(1);
+
+    innerCalls = 0;
+    middleCalls = 0;
+    await cartesianComposition.async(...args)(1);
+    expect(innerCalls).toBe(6);
+    expect(middleCalls).toBe(3);
+  });
+});
@@ -0,0 +1,109 @@
+import cartesianComposition from "../src/index";
+
+const fn = name => {
+  const f = (...res) => `${name}(${res.join(", ")})`;
+  Object.defineProperty(f, "name", { value: name });
+  return f;
+};
+
+const [a, b, c, d, e, f, g, h, i] = "abcdefghi".split("").map(fn);
+
+/**
+ * Returns the argument arrays wrapped in proxies counting each read of their elements,
+ * i.e. the parsing of the arguments.
+ */
+const parsedArgs = args => {
+  const reads = { count: 0 };
+  const proxies = args.map(
+    arg =>
+      new Proxy(arg, {
+        get: (target, prop, receiver) => {
+          if (typeof prop === "string" && /^\d+$/.test(prop)) {
+            reads.count++;
+          }
+          return Reflect.get(target, prop, receiver);
+        },
+      })
+  );
+  return { args: proxies, reads };
+};
+
+const args = () => [
+  [a, b, c],
+  [[cartesianComposition.OPTIONAL], d, e, f, g],
+  [h, [[cartesianComposition.OPTIONAL], i]],
+];
+
+describe("compile once", () => {
+  it("parses the arguments only when the composition is built", () => {
+    const { args: proxies, reads } = parsedArgs(args());
+    const composition = cartesianComposition(...proxies);
+    const readsWhenBuilt = reads.count;
+    expect(readsWhenBuilt).toBeGreaterThan(0);
+
+    const expected = cartesianComposition(...args())(1, 2, 3);
+    for (let n = 0; n < 100; n++) {
+      expect(composition(1, 2, n)).toHaveLength(expected.length);
+    }
+    expect(composition(1, 2, 3)).toEqual(expected);
+    expect(reads.count).toBe(readsWhenBuilt);
+  });
+
+  it("enumerates the paths only the first time the composition is called", () => {
+    let whereCalls = 0;
+    const composition = cartesianComposition.withOptions({
+      where: () => {
+        whereCalls++;
+        return true;
+      },
+    })(...args());
+    expect(whereCalls).toBe(0);
+
+    const first = composition(1, 2, 3);
+    const whereCallsOfFirstCall = whereCalls;
+    expect(whereCallsOfFirstCall).toBeGreaterThan(0);
+
+    for (let n = 0; n < 100; n++) {
+      expect(composition(1, 2, 3)).toEqual(first);
+    }
+    expect(composition.count()).toBe(first.length);
+    expect(whereCalls).toBe(whereCallsOfFirstCall);
+  });
+
+  it("only calls each function of each path at each call", () => {
+    let fnCalls = 0;
+    const countedEntry = entry => {
+      if (Array.isArray(entry)) {
+        return entry.map(countedEntry);
+      }
+      return typeof entry === "function"
+        ? (...res) => {
+            fnCalls++;
+            return entry(...res);
+          }
+        : entry;
+    };
+    const counted = args().map(arg => arg.map(countedEntry));
+    const { args: proxies, reads } = parsedArgs(counted);
+    const composition = cartesianComposition(...proxies);
+    composition(1, 2, 3);
+    const readsWhenBuilt = reads.count;
+    const fnCallsPerCall = fnCalls;
+    // A call of each function of each path.
+    expect(fnCallsPerCall).toBe(
+      cartesianComposition
+        .withOptions({ withPath: true })(...args())(1, 2, 3)
+        .reduce(
+          (sum, { path }) =>
+            sum + path.reduce((count, node) => count + node.names.length, 0),
+          0
+        )
+    );
+
+    for (let n = 1; n <= 100; n++) {
+      composition(1, 2, n);
+      expect(fnCalls).toBe((n + 1) * fnCallsPerCall);
+    }
+    expect(reads.count).toBe(readsWhenBuilt);
+  });
+});
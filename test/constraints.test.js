@@ -0,0 +1,84 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, CartesianCompositionError, exclude, requires } =
+  cartesianComposition;
+const [a, b, d, e, h] = fns("a", "b", "d", "e", "h");
+const args = [[a, b], [[OPTIONAL], d, e], [h]];
+
+const withConstraints = (...constraints) =>
+  cartesianComposition.withOptions({ constraints });
+
+describe("constraints", () => {
+  it("leaves out the compositions with mutually exclusive functions", () => {
+    expect(withConstraints(exclude(a, d))(...args)(1)).toEqual([
+      "a(h(1))",
+      "a(e(h(1)))",
+      "b(d(h(1)))",
+      "b(h(1))",
+      "b(e(h(1)))",
+    ]);
+  });
+
+  it("leaves out the compositions in which a function does not wrap the functions it requires", () => {
+    expect(withConstraints(requires(a, e))(...args)(1)).toEqual([
+      "a(e(h(1)))",
+      "b(d(h(1)))",
+      "b(h(1))",
+      "b(e(h(1)))",
+    ]);
+  });
+
+  it("counts the compositions satisfying the constraints", () => {
+    const composition = withConstraints(exclude(a, d), requires(b, d))(...args);
+    expect(composition.count()).toBe(composition(1).length);
+    expect(composition(1)).toEqual(["a(h(1))", "a(e(h(1)))", "b(d(h(1)))"]);
+  });
+
+  it("rejects a function requiring itself", () => {
+    for (const constraints of [
+      [requires(a, a)],
+      [requires(a, d), requires(d, e), requires(e, a)],
+    ]) {
+      expect(() => withConstraints(...constraints)(...args)).toThrow(
+        new CartesianCompositionError(
+          'Contradictory constraints: function "a" requires itself (directly or through other required functions), therefore it can never wrap a path.'
+        )
+      );
+    }
+  });
+
+  it("rejects a function requiring mutually exclusive functions", () => {
+    const error = new CartesianCompositionError(
+      'Contradictory constraints: functions "d", "e" are mutually exclusive, but function "a" requires them to appear in the same composition (directly or through other required functions).'
+    );
+    expect(() =>
+      withConstraints(exclude(d, e), requires(a, d, e))(...args)
+    ).toThrow(error);
+    expect(() =>
+      withConstraints(exclude(d, e), requires(a, d), requires(d, e))(...args)
+    ).toThrow(error);
+  });
+
+  it("rejects a function requiring a function it excludes", () => {
+    expect(() =>
+      withConstraints(exclude(a, h), requires(a, h))(...args)
+    ).toThrow(
+      'Contradictory constraints: functions "a", "h" are mutually exclusive, but function "a" requires them'
+    );
+  });
+
+  it("rejects an unknown constraint", () => {
+    let error;
+    try {
+      withConstraints({ type: "unknown" })(...args);
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(CartesianCompositionError);
+    expect(error.message).toBe(
+      'Unknown constraint "unknown", use "cartesianComposition.exclude" or "cartesianComposition.requires" to create constraints.'
+    );
+    expect(error.argIndex).toBeUndefined();
+  });
+});
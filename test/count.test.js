@@ -0,0 +1,40 @@
+import cartesianComposition from "../src/index";
+import { compositionCases } from "./helpers";
+
+const cases = Object.entries(compositionCases(cartesianComposition));
+
+const resultsCount = results =>
+  Array.isArray(results) ? results.length : Object.keys(results).length;
+
+describe("count", () => {
+  it.each(cases)(
+    "counts the results of the cartesian composition (%s)",
+    (name, args) => {
+      const composition = cartesianComposition(...args);
+      const count = resultsCount(composition(1, 2, 3));
+      expect(composition.count()).toBe(count);
+      expect(cartesianComposition.count(...args)).toBe(count);
+    }
+  );
+
+  it("does not call the functions to compose", () => {
+    const f = jest.fn();
+    expect(
+      cartesianComposition.count(
+        [f, f, f],
+        [[cartesianComposition.OPTIONAL], f, f, f, f],
+        [f, [[cartesianComposition.OPTIONAL], f]]
+      )
+    ).toBe(45);
+    expect(f).not.toHaveBeenCalled();
+  });
+
+  it("counts the paths kept by the where option", () => {
+    const { OPTIONAL: args } = compositionCases(cartesianComposition);
+    const composition = cartesianComposition.withOptions({
+      where: partialPath => partialPath.every(node => node.index !== 1),
+    })(...args);
+    expect(composition.count()).toBe(composition(1, 2, 3).length);
+    expect(composition.count()).toBeLessThan(45);
+  });
+});
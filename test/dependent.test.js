@@ -0,0 +1,73 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL } = cartesianComposition;
+const [a, b, h, json, xml, pretty, compact, attrs] = fns(
+  "a",
+  "b",
+  "h",
+  "json",
+  "xml",
+  "pretty",
+  "compact",
+  "attrs"
+);
+
+const serializerOptions = chosen =>
+  chosen[0].fns[0] === json ? [[OPTIONAL], pretty, compact] : [attrs];
+
+const expected = [
+  "json(pretty(h(1)))",
+  "json(h(1))",
+  "json(compact(h(1)))",
+  "xml(attrs(h(1)))",
+];
+
+describe("dependent arguments", () => {
+  it("composes the functions returned by the factory for the nodes chosen so far", () => {
+    expect(
+      cartesianComposition([json, xml], serializerOptions, [h])(1)
+    ).toEqual(expected);
+  });
+
+  it("calls the factory lazily, once for each choice of the preceding arguments", () => {
+    const factory = jest.fn(serializerOptions);
+    const composition = cartesianComposition([json, xml], factory, [h]);
+    expect(factory).not.toHaveBeenCalled();
+    composition(1);
+    composition(1);
+    expect(
+      factory.mock.calls.map(([chosen]) => chosen.map(node => node.fns[0]))
+    ).toEqual([[json], [xml]]);
+  });
+
+  it("passes all the nodes chosen so far to the factory", () => {
+    const factory = chosen => [[OPTIONAL], ...fns(`x${chosen.length}`)];
+    expect(cartesianComposition([json], [a, b], factory)(1)).toEqual([
+      "json(a(x2(1)))",
+      "json(a(1))",
+      "json(b(x2(1)))",
+      "json(b(1))",
+    ]);
+  });
+
+  it("supports the introspection of the compositions", () => {
+    const composition = cartesianComposition([json, xml], serializerOptions, [
+      h,
+    ]);
+    expect(composition.count()).toBe(4);
+    expect(composition.at(3)(1)).toBe("xml(attrs(h(1)))");
+    expect(composition.describe()).toEqual([
+      "json(pretty(h(...)))",
+      "json(h(...))",
+      "json(compact(h(...)))",
+      "xml(attrs(h(...)))",
+    ]);
+  });
+
+  it("composes the dependent arguments in async mode", async () => {
+    expect(
+      await cartesianComposition.async([json, xml], serializerOptions, [h])(1)
+    ).toEqual(expected);
+  });
+});
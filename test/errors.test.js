@@ -0,0 +1,215 @@
+import cartesianComposition from "../src/index";
+import { fn, fns, sleep } from "./helpers";
+
+const [a, b, h] = fns("a", "b", "h");
+
+/**
+ * Creates a named function throwing an error whose message is its name.
+ */
+const failing = name => {
+  const f = () => {
+    throw new Error(name);
+  };
+  Object.defineProperty(f, "name", { value: name });
+  return f;
+};
+
+/**
+ * Creates a named async function rejecting with an error whose message is its name after the given milliseconds.
+ */
+const rejecting = (name, ms) => {
+  const f = async () => {
+    await sleep(ms);
+    throw new Error(name);
+  };
+  Object.defineProperty(f, "name", { value: name });
+  return f;
+};
+
+/**
+ * Creates a named async function resolving after the given milliseconds and recording its calls in `started`.
+ */
+const resolving = (name, ms, started) => {
+  const f = fn(name);
+  const g = async (...res) => {
+    started.push(name);
+    await sleep(ms);
+    return f(...res);
+  };
+  Object.defineProperty(g, "name", { value: name });
+  return g;
+};
+
+const bad = failing("bad");
+const badPath = [
+  { argIndex: 0, index: 1, names: ["bad"] },
+  { argIndex: 1, index: 0, names: ["h"] },
+];
+
+describe("errors of the compositions", () => {
+  it("throws the first error by default", () => {
+    expect(() => cartesianComposition([a, bad, b], [h])(1)).toThrow("bad");
+  });
+
+  it("returns a settled entry for each composition with the settle option", () => {
+    const ret = cartesianComposition.withOptions({ settle: true })(
+      [a, bad, b],
+      [h]
+    )(1);
+    expect(ret).toEqual([
+      { status: "fulfilled", value: "a(h(1))" },
+      { status: "rejected", reason: new Error("bad"), path: badPath },
+      { status: "fulfilled", value: "b(h(1))" },
+    ]);
+  });
+
+  it("stops at the first rejected entry with the settle and failFast options", () => {
+    const ret = cartesianComposition.withOptions({
+      settle: true,
+      failFast: true,
+    })(
+      [a, bad, b],
+      [h]
+    )(1);
+    expect(ret).toEqual([
+      { status: "fulfilled", value: "a(h(1))" },
+      { status: "rejected", reason: new Error("bad"), path: badPath },
+    ]);
+  });
+
+  it("leaves the failed compositions out with failFast set to false", () => {
+    expect(
+      cartesianComposition.withOptions({ failFast: false })([a, bad, b], [h])(1)
+    ).toEqual(["a(h(1))", "b(h(1))"]);
+  });
+
+  it("returns the fallback value of onError", () => {
+    const onError = jest.fn((error, path) => `fallback(${error.message})`);
+    expect(
+      cartesianComposition.withOptions({ onError })([a, bad, b], [h])(1)
+    ).toEqual(["a(h(1))", "fallback(bad)", "b(h(1))"]);
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError).toHaveBeenCalledWith(new Error("bad"), badPath);
+  });
+
+  it("handles the error thrown by onError as the error of the composition", () => {
+    const onError = () => {
+      throw new Error("onError");
+    };
+    expect(() =>
+      cartesianComposition.withOptions({ onError })([a, bad, b], [h])(1)
+    ).toThrow("onError");
+    expect(
+      cartesianComposition.withOptions({ onError, settle: true })(
+        [a, bad],
+        [h]
+      )(1)[1]
+    ).toEqual({
+      status: "rejected",
+      reason: new Error("onError"),
+      path: badPath,
+    });
+  });
+
+  it("settles the generators", () => {
+    expect([
+      ...cartesianComposition
+        .withOptions({ settle: true, failFast: true })
+        .iterate(
+          [a, bad, b],
+          [h]
+        )(1),
+    ]).toHaveLength(2);
+  });
+});
+
+describe("errors of the compositions in async mode", () => {
+  it("rejects with the error of the first failed composition in result order", async () => {
+    await expect(
+      cartesianComposition
+        .withOptions({ concurrency: 3 })
+        .async(
+          [a, rejecting("slow", 30), rejecting("fast", 1)],
+          [h]
+        )(1)
+    ).rejects.toThrow("slow");
+  });
+
+  it("does not start the compositions following the composition which failed", async () => {
+    const started = [];
+    await expect(
+      cartesianComposition
+        .withOptions({ concurrency: 3 })
+        .async([
+          resolving("s0", 10, started),
+          resolving("s1", 10, started),
+          failing("bad"),
+          resolving("s3", 1, started),
+        ])(1)
+    ).rejects.toThrow("bad");
+    await sleep(30);
+    expect(started).toEqual(["s0", "s1"]);
+  });
+
+  it("settles in result order and stops at the first rejected entry", async () => {
+    const started = [];
+    const ret = await cartesianComposition
+      .withOptions({ concurrency: 3, settle: true, failFast: true })
+      .async([
+        resolving("s0", 10, started),
+        resolving("s1", 10, started),
+        failing("bad"),
+        resolving("s3", 1, started),
+      ])(1);
+    expect(ret).toEqual([
+      { status: "fulfilled", value: "s0(1)" },
+      { status: "fulfilled", value: "s1(1)" },
+      {
+        status: "rejected",
+        reason: new Error("bad"),
+        path: [{ argIndex: 0, index: 2, names: ["bad"] }],
+      },
+    ]);
+    expect(started).toEqual(["s0", "s1"]);
+  });
+
+  it("returns a settled entry for each composition with the settle option", async () => {
+    const ret = await cartesianComposition
+      .withOptions({ settle: true, concurrency: 2 })
+      .async(
+        [a, rejecting("bad", 5), b],
+        [h]
+      )(1);
+    expect(ret).toEqual([
+      { status: "fulfilled", value: "a(h(1))" },
+      { status: "rejected", reason: new Error("bad"), path: badPath },
+      { status: "fulfilled", value: "b(h(1))" },
+    ]);
+  });
+
+  it("leaves the failed compositions out with failFast set to false", async () => {
+    expect(
+      await cartesianComposition
+        .withOptions({ failFast: false })
+        .async(
+          [a, rejecting("bad", 1), b],
+          [h]
+        )(1)
+    ).toEqual(["a(h(1))", "b(h(1))"]);
+  });
+
+  it("awaits the fallback value of onError", async () => {
+    const onError = jest.fn(async error =>
+      sleep(1, `fallback(${error.message})`)
+    );
+    expect(
+      await cartesianComposition
+        .withOptions({ onError })
+        .async(
+          [a, rejecting("bad", 1), b],
+          [h]
+        )(1)
+    ).toEqual(["a(h(1))", "fallback(bad)", "b(h(1))"]);
+    expect(onError).toHaveBeenCalledWith(new Error("bad"), badPath);
+  });
+});
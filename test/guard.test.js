@@ -0,0 +1,82 @@
+import cartesianComposition from "../src/index";
+import { fn } from "./helpers";
+
+const { GUARD } = cartesianComposition;
+const a = fn("a");
+
+const isString = value => typeof value === "string";
+const isNumber = value => typeof value === "number";
+const toUpper = value => value.toUpperCase();
+const half = value => value / 2;
+const toS = value => `s${value}`;
+const length = value => value.length;
+
+describe("GUARD", () => {
+  const args = [
+    [
+      [[GUARD, isString], toUpper],
+      [[GUARD, isNumber], half],
+    ],
+    [toS, length],
+  ];
+
+  it("drops the compositions whose guards fail by default", () => {
+    expect(cartesianComposition(...args)("ab")).toEqual(["SAB", 1]);
+  });
+
+  it("skips the functions whose guards fail with the guardFailure option set to skip", () => {
+    expect(
+      cartesianComposition.withOptions({ guardFailure: "skip" })(...args)("ab")
+    ).toEqual(["SAB", 2, "sab", 1]);
+  });
+
+  it("describes the functions skipped because their guard failed", () => {
+    expect(
+      cartesianComposition.withOptions({
+        guardFailure: "skip",
+        withPath: true,
+      })(
+        [[[GUARD, isString], toUpper]],
+        [length]
+      )("ab")
+    ).toEqual([
+      {
+        value: 2,
+        path: [{ argIndex: 1, index: 0, names: ["length"] }],
+        skipped: [
+          {
+            argIndex: 0,
+            index: 0,
+            names: ["toUpper"],
+            group: false,
+            guard: true,
+          },
+        ],
+      },
+    ]);
+  });
+
+  it("guards all the functions of an argument array", () => {
+    expect(
+      cartesianComposition([[GUARD, isString], toUpper, a], [toS, length])("ab")
+    ).toEqual(["SAB", "a(sab)"]);
+  });
+
+  it("checks the values resolved by the inner functions in async mode", async () => {
+    const inner = [async value => value, async value => value.length];
+    expect(
+      await cartesianComposition.async(
+        [[[GUARD, isString], toUpper]],
+        inner
+      )("ab")
+    ).toEqual(["AB"]);
+    expect(
+      await cartesianComposition
+        .withOptions({ guardFailure: "skip" })
+        .async(
+          [[[GUARD, isString], toUpper]],
+          inner
+        )("ab")
+    ).toEqual(["AB", 2]);
+  });
+});
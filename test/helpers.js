@@ -0,0 +1,58 @@
+/**
+ * Creates a named function returning the expression of its call, e.g. `a(1, 2, 3)`.
+ */
+export const fn = name => {
+  const f = (...res) => `${name}(${res.join(", ")})`;
+  Object.defineProperty(f, "name", { value: name });
+  return f;
+};
+
+/**
+ * Creates named functions (see `fn`).
+ */
+export const fns = (...names) => names.map(fn);
+
+/**
+ * Returns a promise resolving to the given value after the given milliseconds.
+ */
+export const sleep = (ms, value) =>
+  new Promise(resolve => setTimeout(resolve, ms, value));
+
+/**
+ * Returns the arguments of cartesian compositions covering the padding options and the nested products, by name.
+ */
+export const compositionCases = cartesianComposition => {
+  const { OPTIONAL, REPEAT, LINKED, PERMUTABLE } = cartesianComposition;
+  const [a, b, c, d, e, f, g, h, i, p, x, y, z] = fns(
+    ..."abcdefghipxyz".split("")
+  );
+  return {
+    "A x B x C": [
+      [a, b, c],
+      [d, e, f, g],
+      [h, i],
+    ],
+    OPTIONAL: [
+      [a, b, c],
+      [[OPTIONAL], d, e, f, g],
+      [h, [[OPTIONAL], i]],
+    ],
+    "optional arrays of functions to compose": [
+      [[[OPTIONAL], a, z], b],
+      [[OPTIONAL], d, e],
+      [h, [[OPTIONAL], i]],
+    ],
+    REPEAT: [[a], [[REPEAT, 0, 2], d, e], [h]],
+    LINKED: [
+      [[LINKED, 1], a, b],
+      [d, e],
+      [[LINKED, 1], h, i],
+    ],
+    PERMUTABLE: [[a], [[PERMUTABLE], x, y], [[PERMUTABLE, OPTIONAL], p], [h]],
+    "nested product": [
+      [a, cartesianComposition.product([x, y], [[OPTIONAL], p])],
+      [[OPTIONAL], h],
+    ],
+    "label-keyed arguments": [{ f: [a, b], g: [[OPTIONAL], d, e] }],
+  };
+};
@@ -0,0 +1,78 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, PERMUTABLE } = cartesianComposition;
+const [a, b, d, e, h, i, x, y] = fns("a", "b", "d", "e", "h", "i", "x", "y");
+
+describe("label-keyed arguments", () => {
+  it("returns the results keyed by the labels and the names of the functions", () => {
+    const ret = cartesianComposition({
+      format: [a, b],
+      enrich: [[OPTIONAL], d, e],
+      source: [h, i],
+    })(1, 2, 3);
+    expect(Object.keys(ret)).toHaveLength(12);
+    expect(ret).toMatchObject({
+      "format=a/enrich=d/source=h": "a(d(h(1, 2, 3)))",
+      "format=a/enrich=-/source=h": "a(h(1, 2, 3))",
+      "format=b/enrich=e/source=i": "b(e(i(1, 2, 3)))",
+    });
+    // The keys are in the order of the results of the positional arguments.
+    expect(Object.values(ret)).toEqual(
+      cartesianComposition([a, b], [[OPTIONAL], d, e], [h, i])(1, 2, 3)
+    );
+  });
+
+  it("keys the anonymous functions by their index", () => {
+    expect(
+      cartesianComposition({
+        format: [a],
+        source: [h, value => `anon(${value})`],
+      })(1)
+    ).toEqual({
+      "format=a/source=h": "a(h(1))",
+      "format=a/source=#1": "a(anon(1))",
+    });
+  });
+
+  it("yields [key, result] pairs", () => {
+    expect([
+      ...cartesianComposition.iterate({ format: [a], source: [h, i] })(1),
+    ]).toEqual([
+      ["format=a/source=h", "a(h(1))"],
+      ["format=a/source=i", "a(i(1))"],
+    ]);
+  });
+
+  it("labels the nodes of the paths", () => {
+    expect(
+      cartesianComposition.withOptions({ withPath: true })({
+        format: [a],
+        source: [h],
+      })(1)
+    ).toEqual({
+      "format=a/source=h": {
+        value: "a(h(1))",
+        path: [
+          { argIndex: 0, label: "format", index: 0, names: ["a"] },
+          { argIndex: 1, label: "source", index: 0, names: ["h"] },
+        ],
+        skipped: [],
+      },
+    });
+  });
+
+  it("keys the permuted arguments in the order in which they are composed", () => {
+    expect(
+      cartesianComposition({
+        format: [a],
+        first: [[PERMUTABLE], x],
+        second: [[PERMUTABLE, OPTIONAL], y],
+      })(1)
+    ).toEqual({
+      "format=a/first=x/second=y": "a(x(y(1)))",
+      "format=a/first=x/second=-": "a(x(1))",
+      "format=a/second=y/first=x": "a(y(x(1)))",
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import cartesianComposition from "../src/index";
+import { fn, fns, sleep } from "./helpers";
+
+const { OPTIONAL, CartesianCompositionLimitError } = cartesianComposition;
+const [a, b, c, d, e, h, i] = fns("a", "b", "c", "d", "e", "h", "i");
+const args = [
+  [a, b, c],
+  [[OPTIONAL], d, e],
+  [h, i],
+];
+const all = cartesianComposition(...args)(1);
+
+/**
+ * Single-function paths `f0`, `f1`, ... resolving after the given delays.
+ */
+const delayedFns = delays =>
+  delays.map((delay, index) => {
+    const f = fn(`f${index}`);
+    return value => sleep(delay, f(value));
+  });
+
+describe("execution limits", () => {
+  it("flags the complete results as not truncated", () => {
+    expect(all).toHaveLength(18);
+    expect(all.truncated).toBe(false);
+    expect(Object.keys(all)).toHaveLength(18);
+    const exact = cartesianComposition.withOptions({ maxResults: 18 })(...args)(
+      1
+    );
+    expect(exact.truncated).toBe(false);
+  });
+
+  it("returns the first results up to maxResults", () => {
+    const ret = cartesianComposition.withOptions({ maxResults: 5 })(...args)(1);
+    expect(ret).toEqual(all.slice(0, 5));
+    expect(ret.truncated).toBe(true);
+  });
+
+  it("evaluates at most maxPaths compositions", () => {
+    let calls = 0;
+    const counted = value => {
+      calls++;
+      return value;
+    };
+    const ret = cartesianComposition.withOptions({ maxPaths: 4 })(
+      [a, b, c],
+      [counted],
+      [h, i]
+    )(1);
+    expect(ret).toHaveLength(4);
+    expect(ret.truncated).toBe(true);
+    expect(calls).toBe(4);
+  });
+
+  it("throws a CartesianCompositionLimitError with the partial results", () => {
+    expect.assertions(4);
+    try {
+      cartesianComposition.withOptions({ maxPaths: 4, limitReached: "throw" })(
+        ...args
+      )(1);
+    } catch (error) {
+      expect(error).toBeInstanceOf(CartesianCompositionLimitError);
+      expect(error.limit).toBe("maxPaths");
+      expect(error.results).toEqual(all.slice(0, 4));
+      expect(error.message).toBe(
+        'The cartesian composition has reached its "maxPaths" limit.'
+      );
+    }
+  });
+
+  it("stops once the signal is aborted", () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const abortAtSecondCall = value => {
+      if (++calls === 2) {
+        controller.abort();
+      }
+      return value;
+    };
+    const ret = cartesianComposition.withOptions({ signal: controller.signal })(
+      [a, b, c],
+      [abortAtSecondCall],
+      [h]
+    )(1);
+    expect(ret).toEqual(["a(h(1))", "b(h(1))"]);
+    expect(ret.truncated).toBe(true);
+  });
+
+  it("stops once the time budget has elapsed", () => {
+    const slow = value => {
+      const start = Date.now();
+      while (Date.now() - start < 20);
+      return value;
+    };
+    const ret = cartesianComposition.withOptions({ timeBudgetMs: 30 })(
+      [a, b, c, d, e],
+      [slow],
+      [h]
+    )(1);
+    expect(ret.length).toBeGreaterThan(0);
+    expect(ret.length).toBeLessThan(5);
+    expect(ret).toEqual(
+      cartesianComposition([a, b, c, d, e], [h])(1).slice(0, ret.length)
+    );
+    expect(ret.truncated).toBe(true);
+  });
+
+  it("stops the generators", () => {
+    const limited = cartesianComposition.withOptions({ maxResults: 3 });
+    expect([...limited.iterate(...args)(1)]).toEqual(all.slice(0, 3));
+    expect(() => [
+      ...limited.withOptions({ limitReached: "throw" }).iterate(...args)(1),
+    ]).toThrow(CartesianCompositionLimitError);
+  });
+
+  it("does not flag the value accumulated by the reducer", () => {
+    expect(
+      cartesianComposition.withOptions({
+        maxResults: 2,
+        reduce: acc => acc + 1,
+        initialValue: 0,
+      })(...args)(1)
+    ).toBe(2);
+  });
+
+  it("applies to sample and topK", () => {
+    const composition = cartesianComposition.withOptions({ maxResults: 2 })(
+      ...args
+    );
+    const sampled = composition.sample(5, { seed: 1 })(1);
+    expect(sampled).toHaveLength(2);
+    expect(sampled.truncated).toBe(true);
+    const best = composition.topK(3, value => value.length)(1);
+    expect(best).toHaveLength(2);
+    expect(best.truncated).toBe(true);
+  });
+
+  it("validates the options", () => {
+    expect(() => cartesianComposition.withOptions({ maxResults: -1 })).toThrow(
+      RangeError
+    );
+    expect(() =>
+      cartesianComposition.withOptions({ timeBudgetMs: NaN })
+    ).toThrow(RangeError);
+    expect(() =>
+      cartesianComposition.withOptions({ limitReached: "ignore" })
+    ).toThrow(RangeError);
+  });
+});
+
+describe("execution limits in async mode", () => {
+  it("returns the first results up to maxResults", async () => {
+    const ret = await cartesianComposition
+      .withOptions({ maxResults: 3, concurrency: 2 })
+      .async(delayedFns([5, 1, 5, 1, 1]))(1);
+    expect(ret).toEqual(["f0(1)", "f1(1)", "f2(1)"]);
+    expect(ret.truncated).toBe(true);
+  });
+
+  it("returns the results preceding the first composition which has not settled when the signal is aborted", async () => {
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 40);
+    const ret = await cartesianComposition
+      .withOptions({ signal: controller.signal })
+      .async(delayedFns([1, 1, 200, 1, 1, 1]))(1);
+    expect(ret).toEqual(["f0(1)", "f1(1)"]);
+    expect(ret.truncated).toBe(true);
+
+    const otherController = new AbortController();
+    setTimeout(() => otherController.abort(), 40);
+    const empty = await cartesianComposition
+      .withOptions({ signal: otherController.signal })
+      .async(delayedFns([200, 1, 200, 1, 1, 1]))(1);
+    expect(empty).toEqual([]);
+    expect(empty.truncated).toBe(true);
+  });
+
+  it("checks the signal between the steps of the compositions", async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    const step = value => {
+      calls++;
+      return sleep(10, value);
+    };
+    setTimeout(() => controller.abort(), 15);
+    const ret = await cartesianComposition
+      .withOptions({ signal: controller.signal, concurrency: 2 })
+      .async(
+        [step, step],
+        [step, step],
+        [step]
+      )(1);
+    expect(ret).toEqual([]);
+    const callsWhenAborted = calls;
+    await sleep(50);
+    expect(calls).toBe(callsWhenAborted);
+  });
+
+  it("does not await the running compositions once the time budget has elapsed", async () => {
+    const never = () => new Promise(() => {});
+    const ret = await cartesianComposition
+      .withOptions({ timeBudgetMs: 50 })
+      .async(delayedFns([1, 1, 1]).concat(never, delayedFns([1])))(1);
+    expect(ret).toEqual(["f0(1)", "f1(1)", "f2(1)"]);
+    expect(ret.truncated).toBe(true);
+
+    await expect(
+      cartesianComposition
+        .withOptions({ timeBudgetMs: 20, limitReached: "throw" })
+        .async([never])(1)
+    ).rejects.toMatchObject({ limit: "timeBudgetMs", results: [] });
+  });
+
+  it("stops asyncIterate", async () => {
+    const results = [];
+    for await (const result of cartesianComposition
+      .withOptions({ maxResults: 2 })
+      .asyncIterate(delayedFns([1, 1, 1, 1]))(1)) {
+      results.push(result);
+    }
+    expect(results).toHaveLength(2);
+  });
+
+  it("returns no result with an aborted signal", async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const ret = await cartesianComposition
+      .withOptions({ signal: controller.signal })
+      .async(...args)(1);
+    expect(ret).toEqual([]);
+    expect(ret.truncated).toBe(true);
+  });
+});
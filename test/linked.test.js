@@ -0,0 +1,77 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, LINKED, CartesianCompositionError } = cartesianComposition;
+const [a, b, d, e, h, i, parseJSON, parseXML, serializeJSON, serializeXML] =
+  fns(
+    "a",
+    "b",
+    "d",
+    "e",
+    "h",
+    "i",
+    "parseJSON",
+    "parseXML",
+    "serializeJSON",
+    "serializeXML"
+  );
+
+describe("LINKED", () => {
+  it("advances the linked argument arrays together", () => {
+    expect(
+      cartesianComposition(
+        [[LINKED, 1], parseJSON, parseXML],
+        [a, b],
+        [[LINKED, 1], serializeJSON, serializeXML]
+      )(1)
+    ).toEqual([
+      "parseJSON(a(serializeJSON(1)))",
+      "parseJSON(b(serializeJSON(1)))",
+      "parseXML(a(serializeXML(1)))",
+      "parseXML(b(serializeXML(1)))",
+    ]);
+  });
+
+  it("multiplies the different links", () => {
+    const args = [
+      [[LINKED, 1], parseJSON, parseXML],
+      [a, b],
+      [[LINKED, 1], serializeJSON, serializeXML],
+      [[LINKED, 2], d, e],
+      [[LINKED, 2], h, i],
+    ];
+    expect(cartesianComposition.count(...args)).toBe(8);
+    expect(cartesianComposition(...args)(1)).toContain(
+      "parseXML(b(serializeXML(e(i(1)))))"
+    );
+  });
+
+  it("skips the linked argument arrays together with OPTIONAL", () => {
+    expect(
+      cartesianComposition(
+        [[LINKED, 1, OPTIONAL], parseJSON, parseXML],
+        [[LINKED, 1], serializeJSON, serializeXML]
+      )(1)
+    ).toEqual([
+      "parseJSON(serializeJSON(1))",
+      "serializeJSON(1)",
+      "parseXML(serializeXML(1))",
+      "serializeXML(1)",
+    ]);
+  });
+
+  it("rejects linked argument arrays of different lengths", () => {
+    expect(() =>
+      cartesianComposition(
+        [[LINKED, 1], parseJSON, parseXML],
+        [a],
+        [[LINKED, 1], serializeJSON]
+      )
+    ).toThrow(
+      new CartesianCompositionError(
+        "the argument arrays linked with the link ID 1 must have the same number of functions or compositions of functions (argument 0 has 2, argument 2 has 1).",
+        { argIndex: 2 }
+      )
+    );
+  });
+});
@@ -0,0 +1,56 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, PERMUTABLE } = cartesianComposition;
+const [a, d, h, p, x, y] = fns("a", "d", "h", "p", "x", "y");
+
+describe("PERMUTABLE", () => {
+  it("composes the permutable argument arrays in every order", () => {
+    expect(
+      cartesianComposition(
+        [a],
+        [[PERMUTABLE], x, y],
+        [[PERMUTABLE, OPTIONAL], p],
+        [h]
+      )(1)
+    ).toEqual([
+      "a(x(p(h(1))))",
+      "a(x(h(1)))",
+      "a(y(p(h(1))))",
+      "a(y(h(1)))",
+      "a(p(x(h(1))))",
+      "a(p(y(h(1))))",
+    ]);
+  });
+
+  it("keeps the positions of the other argument arrays", () => {
+    expect(
+      cartesianComposition(
+        [a],
+        [[PERMUTABLE], x],
+        [d],
+        [[PERMUTABLE], y],
+        [h]
+      )(1)
+    ).toEqual(["a(x(d(y(h(1)))))", "a(y(d(x(h(1)))))"]);
+  });
+
+  it("deduplicates the orders which become identical once argument arrays are skipped", () => {
+    const args = [
+      [a],
+      [[PERMUTABLE, OPTIONAL], x],
+      [[PERMUTABLE, OPTIONAL], y],
+      [h],
+    ];
+    const ret = cartesianComposition(...args)(1);
+    expect(ret).toEqual([
+      "a(x(y(h(1))))",
+      "a(y(h(1)))",
+      "a(x(h(1)))",
+      "a(h(1))",
+      "a(y(x(h(1))))",
+    ]);
+    expect(new Set(ret).size).toBe(ret.length);
+    expect(cartesianComposition.count(...args)).toBe(5);
+  });
+});
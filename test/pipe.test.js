@@ -0,0 +1,288 @@
+import cartesianComposition, { cartesianPipe } from "../src/index";
+
+const fn = name => {
+  const f = (...res) => `${name}(${res.join(", ")})`;
+  Object.defineProperty(f, "name", { value: name });
+  return f;
+};
+
+const [a, b, c, d, e, f, g, h, i, z] = "abcdefghiz".split("").map(fn);
+const [p, x, y, retry, backoff] = ["p", "x", "y", "retry", "backoff"].map(fn);
+const [parseJSON, parseXML, serializeJSON, serializeXML] = [
+  "parseJSON",
+  "parseXML",
+  "serializeJSON",
+  "serializeXML",
+].map(fn);
+
+const { OPTIONAL, REPEAT, LINKED, PERMUTABLE, GUARD } = cartesianComposition;
+
+const isPaddingArray = value =>
+  Array.isArray(value) && typeof value[0] === "number";
+
+/**
+ * Reverses the functions of an array of functions to compose, the padding array staying at index 0.
+ */
+const reversedFns = array =>
+  isPaddingArray(array[0])
+    ? [array[0], ...array.slice(1).reverse()]
+    : [...array].reverse();
+
+/**
+ * Mirrors the arguments of a cartesian composition for the cartesian pipe: the arguments are reversed,
+ * as well as the arrays of functions to compose of each argument (the padding arrays staying at index 0).
+ */
+const mirroredArgs = args =>
+  args
+    .map(arg =>
+      arg.map((entry, index) =>
+        Array.isArray(entry) && !(index === 0 && isPaddingArray(entry))
+          ? reversedFns(entry)
+          : entry
+      )
+    )
+    .reverse();
+
+/**
+ * The cartesian pipe yields its results in the order of its own arguments, therefore the results are compared sorted.
+ */
+const sorted = results => [...results].sort();
+
+const expectMirrored = (args, params = [1, 2, 3], options = {}) => {
+  const composed = cartesianComposition.withOptions(options)(...args)(
+    ...params
+  );
+  const piped = cartesianPipe.withOptions(options)(...mirroredArgs(args))(
+    ...params
+  );
+  expect(sorted(piped)).toEqual(sorted(composed));
+  return composed;
+};
+
+describe("cartesianPipe mirrors the examples of cartesianComposition", () => {
+  it("A x B x C", () => {
+    const composed = expectMirrored([
+      [a, b, c],
+      [d, e, f, g],
+      [h, i],
+    ]);
+    expect(composed).toHaveLength(24);
+    expect(composed.slice(0, 4)).toEqual([
+      "a(d(h(1, 2, 3)))",
+      "a(d(i(1, 2, 3)))",
+      "a(e(h(1, 2, 3)))",
+      "a(e(i(1, 2, 3)))",
+    ]);
+  });
+
+  it("single functions wrapped in arrays", () => {
+    const composed = expectMirrored([
+      [[a], [b], [c]],
+      [[d], [e], [f], [g]],
+      [[h], [i]],
+    ]);
+    expect(composed).toEqual(
+      cartesianComposition([a, b, c], [d, e, f, g], [h, i])(1, 2, 3)
+    );
+  });
+
+  it("arrays of functions to compose", () => {
+    const composed = expectMirrored([
+      [[a, z], [b], [c]],
+      [[d], [e], [f], [g]],
+      [[h], [i]],
+    ]);
+    expect(composed.slice(0, 2)).toEqual([
+      "a(z(d(h(1, 2, 3))))",
+      "a(z(d(i(1, 2, 3))))",
+    ]);
+  });
+
+  it("optional argument array", () => {
+    const composed = expectMirrored([
+      [a, b, c],
+      [[OPTIONAL], d, e, f, g],
+      [h, i],
+    ]);
+    expect(composed).toHaveLength(30);
+    expect(composed.slice(0, 4)).toEqual([
+      "a(d(h(1, 2, 3)))",
+      "a(h(1, 2, 3))",
+      "a(d(i(1, 2, 3)))",
+      "a(i(1, 2, 3))",
+    ]);
+  });
+
+  it("optional argument array and optional function", () => {
+    const composed = expectMirrored([
+      [a, b, c],
+      [[OPTIONAL], d, e, f, g],
+      [h, [[OPTIONAL], i]],
+    ]);
+    expect(composed).toHaveLength(45);
+    expect(composed.slice(0, 6)).toEqual([
+      "a(d(h(1, 2, 3)))",
+      "a(h(1, 2, 3))",
+      "a(d(i(1, 2, 3)))",
+      "a(i(1, 2, 3))",
+      "a(d(1, 2, 3))",
+      "a(1, 2, 3)",
+    ]);
+  });
+
+  it("optional array of functions to compose", () => {
+    const composed = expectMirrored([
+      [[[OPTIONAL], a, z], b],
+      [[OPTIONAL], d, e],
+      [h, [[OPTIONAL], i]],
+    ]);
+    expect(composed).toContain("a(z(d(h(1, 2, 3))))");
+    expect(composed).toContain("d(h(1, 2, 3))");
+    expect(composed).toContain("h(1, 2, 3)");
+  });
+
+  it("REPEAT", () => {
+    const composed = expectMirrored([
+      [a],
+      [[REPEAT, 1, 2], retry, backoff],
+      [h],
+    ]);
+    expect(composed).toEqual([
+      "a(retry(h(1, 2, 3)))",
+      "a(backoff(h(1, 2, 3)))",
+      "a(retry(retry(h(1, 2, 3))))",
+      "a(retry(backoff(h(1, 2, 3))))",
+      "a(backoff(retry(h(1, 2, 3))))",
+      "a(backoff(backoff(h(1, 2, 3))))",
+    ]);
+  });
+
+  it("LINKED", () => {
+    const composed = expectMirrored([
+      [[LINKED, 1], parseJSON, parseXML],
+      [a, b],
+      [[LINKED, 1], serializeJSON, serializeXML],
+    ]);
+    expect(composed).toEqual([
+      "parseJSON(a(serializeJSON(1, 2, 3)))",
+      "parseJSON(b(serializeJSON(1, 2, 3)))",
+      "parseXML(a(serializeXML(1, 2, 3)))",
+      "parseXML(b(serializeXML(1, 2, 3)))",
+    ]);
+  });
+
+  it("PERMUTABLE", () => {
+    const composed = expectMirrored([
+      [a],
+      [[PERMUTABLE], x, y],
+      [[PERMUTABLE, OPTIONAL], p],
+      [h],
+    ]);
+    expect(composed).toEqual([
+      "a(x(p(h(1, 2, 3))))",
+      "a(x(h(1, 2, 3)))",
+      "a(y(p(h(1, 2, 3))))",
+      "a(y(h(1, 2, 3)))",
+      "a(p(x(h(1, 2, 3))))",
+      "a(p(y(h(1, 2, 3))))",
+    ]);
+  });
+
+  it("GUARD", () => {
+    const isString = value => typeof value === "string";
+    const toUpper = value => value.toUpperCase();
+    const identity = value => `identity(${value})`;
+    const toString = value => `toString(${value})`;
+    const toNumber = value => Number(value);
+    const args = [
+      [[[GUARD, isString], toUpper], identity],
+      [toString, toNumber],
+    ];
+    expect(expectMirrored(args, ["a"])).toEqual([
+      "TOSTRING(A)",
+      "identity(toString(a))",
+      "identity(NaN)",
+    ]);
+    expect(expectMirrored(args, ["a"], { guardFailure: "skip" })).toEqual([
+      "TOSTRING(A)",
+      NaN,
+      "identity(toString(a))",
+      "identity(NaN)",
+    ]);
+  });
+
+  it("label-keyed arguments", () => {
+    const composed = cartesianComposition({
+      format: [a, b],
+      enrich: [[OPTIONAL], d, e],
+      source: [h, i],
+    })(1, 2, 3);
+    const piped = cartesianPipe({
+      source: [h, i],
+      enrich: [[OPTIONAL], d, e],
+      format: [a, b],
+    })(1, 2, 3);
+    const mirroredKeys = {};
+    for (const [key, result] of Object.entries(piped)) {
+      mirroredKeys[key.split("/").reverse().join("/")] = result;
+    }
+    expect(mirroredKeys).toEqual(composed);
+    expect(composed["format=a/enrich=-/source=h"]).toBe("a(h(1, 2, 3))");
+  });
+
+  it("dependent arguments (called with the nodes of the preceding arguments)", () => {
+    // A factory depends on the arguments preceding it, which are applied after it with the cartesian composition
+    // and before it with the cartesian pipe: the example is therefore mirrored by keeping the arguments in order.
+    const [json, xml, pretty, compact, attrs] = [
+      "json",
+      "xml",
+      "pretty",
+      "compact",
+      "attrs",
+    ].map(fn);
+    const factory = chosen =>
+      chosen[0].fns[0] === json ? [[OPTIONAL], pretty, compact] : [attrs];
+    expect(cartesianComposition([json, xml], factory, [h])(1, 2, 3)).toEqual([
+      "json(pretty(h(1, 2, 3)))",
+      "json(h(1, 2, 3))",
+      "json(compact(h(1, 2, 3)))",
+      "xml(attrs(h(1, 2, 3)))",
+    ]);
+    expect(cartesianPipe([json, xml], factory, [h])(1, 2, 3)).toEqual([
+      "h(pretty(json(1, 2, 3)))",
+      "h(json(1, 2, 3))",
+      "h(compact(json(1, 2, 3)))",
+      "h(attrs(xml(1, 2, 3)))",
+    ]);
+  });
+
+  it("is available on the default export", () => {
+    expect(cartesianComposition.pipe).toBe(cartesianPipe);
+    expect(cartesianComposition.pipe([h], [a])(1, 2, 3)).toEqual([
+      "a(h(1, 2, 3))",
+    ]);
+  });
+
+  it("cartesianPipe example", () => {
+    const piped = cartesianPipe(
+      [h, i],
+      [[OPTIONAL], d, e, f, g],
+      [[a, z], b, c]
+    )(1, 2, 3);
+    expect(piped.slice(0, 4)).toEqual([
+      "z(a(d(h(1, 2, 3))))",
+      "z(a(h(1, 2, 3)))",
+      "b(d(h(1, 2, 3)))",
+      "b(h(1, 2, 3))",
+    ]);
+    expect(sorted(piped)).toEqual(
+      sorted(
+        cartesianComposition([[z, a], b, c], [[OPTIONAL], d, e, f, g], [h, i])(
+          1,
+          2,
+          3
+        )
+      )
+    );
+  });
+});
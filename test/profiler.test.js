@@ -0,0 +1,45 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL } = cartesianComposition;
+const [a, b, d, h, p, x, y] = fns("a", "b", "d", "h", "p", "x", "y");
+
+describe("createProfiler", () => {
+  it("counts the calls of each function and of each path", () => {
+    const profiler = cartesianComposition.createProfiler();
+    const composition = cartesianComposition.withOptions(profiler.hooks)(
+      [a, b],
+      [[OPTIONAL], d],
+      [h]
+    );
+    composition(1);
+    composition(2);
+    const { functions, paths } = profiler.report();
+    expect(functions.map(({ name, calls }) => [name, calls])).toEqual([
+      ["h", 8],
+      ["d", 4],
+      ["a", 4],
+      ["b", 4],
+    ]);
+    expect(paths).toHaveLength(4);
+    expect(paths.every(({ calls }) => calls === 2)).toBe(true);
+    expect(paths[1].skipped).toEqual([
+      { argIndex: 1, index: 1, names: ["d"], group: true },
+    ]);
+    profiler.reset();
+    expect(profiler.report()).toEqual({ functions: [], paths: [] });
+  });
+
+  it("reports the paths of a nested product separately", () => {
+    const profiler = cartesianComposition.createProfiler();
+    const ret = cartesianComposition.withOptions(profiler.hooks)(
+      [cartesianComposition.product([x, y], [[OPTIONAL], p])],
+      [h]
+    )(1);
+    expect(ret).toEqual(["x(p(h(1)))", "x(h(1))", "y(p(h(1)))", "y(h(1))"]);
+    const { paths } = profiler.report();
+    expect(paths).toHaveLength(4);
+    expect(paths.map(({ calls }) => calls)).toEqual([1, 1, 1, 1]);
+    expect(paths.map(({ path }) => path[0].nested.index)).toEqual([0, 1, 2, 3]);
+  });
+});
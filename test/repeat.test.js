@@ -0,0 +1,51 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, REPEAT } = cartesianComposition;
+const [a, h, retry, backoff] = fns("a", "h", "retry", "backoff");
+
+describe("REPEAT", () => {
+  it("applies the argument array between min and max times", () => {
+    expect(
+      cartesianComposition([a], [[REPEAT, 1, 2], retry, backoff], [h])(1)
+    ).toEqual([
+      "a(retry(h(1)))",
+      "a(backoff(h(1)))",
+      "a(retry(retry(h(1))))",
+      "a(retry(backoff(h(1))))",
+      "a(backoff(retry(h(1))))",
+      "a(backoff(backoff(h(1))))",
+    ]);
+  });
+
+  it("skips the argument array if min is 0", () => {
+    expect(
+      cartesianComposition([[REPEAT, 0, 2], retry, backoff], [h])(1)
+    ).toEqual([
+      "retry(h(1))",
+      "h(1)",
+      "backoff(h(1))",
+      "retry(retry(h(1)))",
+      "retry(backoff(h(1)))",
+      "backoff(retry(h(1)))",
+      "backoff(backoff(h(1)))",
+    ]);
+  });
+
+  it("combines with OPTIONAL without duplicating the equivalent paths", () => {
+    const ret = cartesianComposition(
+      [a],
+      [[REPEAT, 1, 2, OPTIONAL], retry],
+      [h]
+    )(1);
+    expect(ret).toEqual(["a(retry(h(1)))", "a(h(1))", "a(retry(retry(h(1))))"]);
+    expect(new Set(ret).size).toBe(ret.length);
+  });
+
+  it("counts the sequences of the repeated argument arrays", () => {
+    const args = [[a], [[REPEAT, 1, 3], retry, backoff], [h]];
+    // 2 + 2^2 + 2^3 sequences.
+    expect(cartesianComposition.count(...args)).toBe(14);
+    expect(cartesianComposition(...args)(1)).toHaveLength(14);
+  });
+});
@@ -0,0 +1,82 @@
+import cartesianComposition from "../src/index";
+import { compositionCases } from "./helpers";
+
+const cases = Object.entries(compositionCases(cartesianComposition));
+
+const resultsArray = results =>
+  Array.isArray(results) ? results : Object.values(results);
+
+describe("at", () => {
+  it.each(cases)(
+    "returns the n-th result of the cartesian composition (%s)",
+    (name, args) => {
+      const composition = cartesianComposition(...args);
+      const results = resultsArray(composition(1, 2, 3));
+      results.forEach((result, n) => {
+        expect(composition.at(n)(1, 2, 3)).toEqual(result);
+        expect(composition.at(n - results.length)(1, 2, 3)).toEqual(result);
+      });
+    }
+  );
+
+  it("evaluates only the composition of the selected result", () => {
+    const { OPTIONAL: args } = compositionCases(cartesianComposition);
+    const calls = [];
+    const composition = cartesianComposition.withOptions({
+      onCall: ({ fn }) => calls.push(fn.name),
+    })(...args);
+    expect(composition.at(3)(1, 2, 3)).toBe("a(i(1, 2, 3))");
+    expect(calls.sort()).toEqual(["a", "i"]);
+  });
+
+  it("throws a RangeError for an index out of range", () => {
+    const composition = cartesianComposition(
+      ...compositionCases(cartesianComposition)["A x B x C"]
+    );
+    expect(() => composition.at(24)).toThrow(RangeError);
+    expect(() => composition.at(-25)).toThrow(RangeError);
+    expect(() => composition.at(1.5)).toThrow(RangeError);
+  });
+});
+
+describe("sample", () => {
+  it.each(cases)(
+    "returns distinct results in the order of the cartesian composition (%s)",
+    (name, args) => {
+      const composition = cartesianComposition(...args);
+      const results = resultsArray(composition(1, 2, 3));
+      const sampled = resultsArray(composition.sample(3, { seed: 7 })(1, 2, 3));
+      expect(sampled).toHaveLength(3);
+      const indexes = sampled.map(result => results.indexOf(result));
+      expect(indexes.every(index => index >= 0)).toBe(true);
+      expect(indexes).toEqual([...new Set(indexes)].sort((a, b) => a - b));
+    }
+  );
+
+  it("returns the same results for the same seed", () => {
+    const composition = cartesianComposition(
+      ...compositionCases(cartesianComposition).OPTIONAL
+    );
+    expect(composition.sample(5, { seed: 42 })(1, 2, 3)).toEqual([
+      "a(e(i(1, 2, 3)))",
+      "b(i(1, 2, 3))",
+      "b(f(h(1, 2, 3)))",
+      "b(g(1, 2, 3))",
+      "c(e(h(1, 2, 3)))",
+    ]);
+    expect(composition.sample(5, { seed: 42 })(1, 2, 3)).toEqual(
+      composition.sample(5, { seed: 42 })(1, 2, 3)
+    );
+  });
+
+  it("returns all the results if k is greater than their number", () => {
+    const composition = cartesianComposition(
+      ...compositionCases(cartesianComposition)["A x B x C"]
+    );
+    expect(composition.sample(30, { seed: 1 })(1, 2, 3)).toEqual(
+      composition(1, 2, 3)
+    );
+    expect(composition.sample(0, { seed: 1 })(1, 2, 3)).toEqual([]);
+    expect(() => composition.sample(-1)).toThrow(RangeError);
+  });
+});
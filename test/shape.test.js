@@ -0,0 +1,104 @@
+import cartesianComposition from "../src/index";
+import { fns, sleep } from "./helpers";
+
+const { OPTIONAL } = cartesianComposition;
+const [a, b, d, e, h, i] = fns("a", "b", "d", "e", "h", "i");
+
+describe("shape option", () => {
+  it("returns nested arrays with a slot for the skipped arguments", () => {
+    const ret = cartesianComposition.withOptions({ shape: "nested" })(
+      [a, b],
+      [[OPTIONAL], d, e],
+      [h]
+    )(1);
+    expect(ret).toEqual([
+      [["a(d(h(1)))"], ["a(e(h(1)))"], ["a(h(1))"]],
+      [["b(d(h(1)))"], ["b(e(h(1)))"], ["b(h(1))"]],
+    ]);
+  });
+
+  it("returns nested objects for label-keyed arguments", () => {
+    const ret = cartesianComposition.withOptions({ shape: "nested" })({
+      format: [a, b],
+      enrich: [[OPTIONAL], d],
+      source: [h, i],
+    })(1);
+    expect(ret.a).toEqual({
+      d: { h: "a(d(h(1)))", i: "a(d(i(1)))" },
+      "-": { h: "a(h(1))", i: "a(i(1))" },
+    });
+    expect(ret.b["-"].i).toBe("b(i(1))");
+  });
+
+  it("is invalid with an unknown shape", () => {
+    expect(() =>
+      cartesianComposition.withOptions({ shape: "flat-ish" })
+    ).toThrow(RangeError);
+  });
+});
+
+describe("reduce option", () => {
+  const args = [
+    [a, b],
+    [[OPTIONAL], d, e],
+    [h, i],
+  ];
+
+  it("accumulates the results with their paths", () => {
+    const all = cartesianComposition(...args)(1);
+    const reduced = cartesianComposition.withOptions({
+      reduce: (acc, value, { path, skipped }) => [
+        ...acc,
+        [value, path.length, skipped.length],
+      ],
+      initialValue: [],
+    })(...args)(1);
+    expect(reduced.map(([value]) => value)).toEqual(all);
+    expect(reduced[0]).toEqual(["a(d(h(1)))", 3, 0]);
+    expect(reduced[1]).toEqual(["a(h(1))", 2, 1]);
+  });
+
+  it("does not keep the paths of the cartesian composition", () => {
+    let whereCalls = 0;
+    const options = {
+      where: () => {
+        whereCalls++;
+        return true;
+      },
+    };
+    const reducing = cartesianComposition.withOptions({
+      ...options,
+      reduce: acc => acc + 1,
+      initialValue: 0,
+    })(...args);
+    expect(reducing(1)).toBe(12);
+    const whereCallsOfFirstCall = whereCalls;
+    expect(reducing(1)).toBe(12);
+    // The paths are enumerated again, as they have not been kept.
+    expect(whereCalls).toBe(2 * whereCallsOfFirstCall);
+
+    whereCalls = 0;
+    const collecting = cartesianComposition.withOptions(options)(...args);
+    collecting(1);
+    collecting(1);
+    expect(whereCalls).toBe(whereCallsOfFirstCall);
+  });
+
+  it("does not keep the paths in async mode", async () => {
+    let whereCalls = 0;
+    const reducing = cartesianComposition
+      .withOptions({
+        where: () => {
+          whereCalls++;
+          return true;
+        },
+        reduce: (acc, value) => acc + value.length,
+        initialValue: 0,
+      })
+      .async([value => sleep(1, `a(${value})`)], [[OPTIONAL], d], [h]);
+    expect(await reducing(1)).toBe("a(d(h(1)))".length + "a(h(1))".length);
+    const whereCallsOfFirstCall = whereCalls;
+    await reducing(1);
+    expect(whereCalls).toBe(2 * whereCallsOfFirstCall);
+  });
+});
@@ -0,0 +1,100 @@
+import cartesianComposition from "../src/index";
+
+const { OPTIONAL } = cartesianComposition;
+
+/**
+ * Creates a named function adding the given amount to its parameter.
+ */
+const adder = amount => {
+  const f = value => value + amount;
+  Object.defineProperty(f, "name", { value: `add${amount}` });
+  f.amount = amount;
+  return f;
+};
+
+const args = [
+  [adder(1), adder(50), adder(3)],
+  [[OPTIONAL], adder(10), adder(20)],
+  [adder(0), adder(7)],
+];
+// The greatest amount each argument can add.
+const maxAmounts = [50, 20, 7];
+
+/**
+ * An upper bound of the sums of the paths extending a partial path: the amounts of its nodes
+ * plus the greatest amounts of the arguments which have not been chosen yet.
+ */
+const bound = partialPath => {
+  const chosen = partialPath.map(node => node.argIndex);
+  return (
+    partialPath.reduce((sum, node) => sum + node.fns[0].amount, 0) +
+    maxAmounts.reduce(
+      (sum, amount, argIndex) =>
+        chosen.indexOf(argIndex) === -1 ? sum + amount : sum,
+      0
+    )
+  );
+};
+
+/**
+ * Returns the k best results, obtained by sorting all the results.
+ */
+const bruteForceTopK = k =>
+  cartesianComposition(...args)(0)
+    .slice()
+    .sort((a, b) => b - a)
+    .slice(0, k);
+
+describe("topK", () => {
+  it("returns the k best compositions, from the best to the worst, without a bound", () => {
+    const score = jest.fn(value => value);
+    const best = cartesianComposition.topK(3, score)(...args)(0);
+    expect(best.map(entry => entry.value)).toEqual(bruteForceTopK(3));
+    expect(best.map(entry => entry.score)).toEqual([77, 70, 67]);
+    expect(best[0].path.map(node => node.names[0])).toEqual([
+      "add50",
+      "add20",
+      "add7",
+    ]);
+    // All the compositions are scored.
+    expect(score).toHaveBeenCalledTimes(18);
+  });
+
+  it("returns the same compositions with a bound, scoring less compositions", () => {
+    const score = jest.fn(value => value);
+    const best = cartesianComposition.topK(3, score, { bound })(...args)(0);
+    expect(best.map(entry => entry.value)).toEqual(bruteForceTopK(3));
+    // Only the paths of "add50" are explored, as well as the paths obtained by skipping their optional node.
+    expect(score).toHaveBeenCalledTimes(5);
+  });
+
+  it("returns all the compositions when k is greater than their number", () => {
+    for (const options of [{}, { bound }]) {
+      const best = cartesianComposition.topK(
+        50,
+        value => value,
+        options
+      )(...args)(0);
+      expect(best.map(entry => entry.value)).toEqual(bruteForceTopK(50));
+      expect(best.truncated).toBe(false);
+    }
+  });
+
+  it("matches the sorted results for every k", () => {
+    const composition = cartesianComposition(...args);
+    for (let k = 0; k <= 18; k++) {
+      expect(
+        composition
+          .topK(k, value => value, { bound })(0)
+          .map(e => e.value)
+      ).toEqual(bruteForceTopK(k));
+    }
+  });
+
+  it("keeps the compositions with the same score in the order in which they have been found", () => {
+    const best = cartesianComposition.topK(2, () => 0)(...args)(0);
+    expect(best.map(entry => entry.value)).toEqual(
+      cartesianComposition(...args)(0).slice(0, 2)
+    );
+  });
+});
@@ -0,0 +1,190 @@
+import cartesianComposition from "../src/index";
+import { fns } from "./helpers";
+
+const { OPTIONAL, REPEAT, LINKED, GUARD, CartesianCompositionError } =
+  cartesianComposition;
+const [a, b, h] = fns("a", "b", "h");
+
+/**
+ * Expects the given function to throw a CartesianCompositionError with the given location and reason.
+ */
+const expectInvalid = (build, { reason, ...location }) => {
+  let error;
+  try {
+    build();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(CartesianCompositionError);
+  expect(error).toMatchObject({
+    argIndex: void 0,
+    label: void 0,
+    index: void 0,
+    innerIndex: void 0,
+    ...location,
+  });
+  expect(error.reason).toEqual(expect.stringContaining(reason));
+  return error;
+};
+
+describe("validation of the arguments", () => {
+  it("rejects an argument which is neither an array nor a factory", () => {
+    expectInvalid(() => cartesianComposition([a], "h"), {
+      argIndex: 1,
+      reason:
+        "each argument must be an array of functions or a factory function",
+    });
+  });
+
+  it("rejects an entry which is not a function", () => {
+    const error = expectInvalid(() => cartesianComposition([a, "b"], [h]), {
+      argIndex: 0,
+      index: 1,
+      reason:
+        "expected a function, an array of functions to compose or a nested product, [object String] given.",
+    });
+    expect(error.message).toBe(`Invalid argument 0, index 1: ${error.reason}`);
+  });
+
+  it("rejects an entry of an array of functions to compose which is not a function", () => {
+    expectInvalid(() => cartesianComposition([a], [h, [a, 3]]), {
+      argIndex: 1,
+      index: 1,
+      innerIndex: 1,
+      reason: "expected a function, [object Number] given.",
+    });
+  });
+
+  it("locates the invalid entries of label-keyed arguments", () => {
+    const error = expectInvalid(
+      () => cartesianComposition({ format: [a], source: [h, null] }),
+      {
+        argIndex: 1,
+        label: "source",
+        index: 1,
+        reason: "[object Null] given.",
+      }
+    );
+    expect(error.message).toMatch(/^Invalid argument 1 \("source"\), index 1:/);
+  });
+
+  it("rejects empty arrays of functions to compose and empty argument arrays", () => {
+    expectInvalid(() => cartesianComposition([a, []], [h]), {
+      argIndex: 0,
+      index: 1,
+      reason:
+        "an array of functions to compose must contain at least one function.",
+    });
+    expectInvalid(() => cartesianComposition([a], [[OPTIONAL]]), {
+      argIndex: 1,
+      reason:
+        "an argument array must contain at least one function or array of functions to compose.",
+    });
+  });
+
+  it("rejects an unknown option code", () => {
+    expectInvalid(() => cartesianComposition([[99], a], [h]), {
+      argIndex: 0,
+      index: 0,
+      reason: 'unknown option code "99" in the options padding array.',
+    });
+  });
+
+  it("rejects an options padding array which is not the first element", () => {
+    expectInvalid(() => cartesianComposition([a, [OPTIONAL]], [h]), {
+      argIndex: 0,
+      index: 1,
+      reason:
+        "an options padding array must be the first element of its argument array.",
+    });
+    expectInvalid(() => cartesianComposition([a, [b, [OPTIONAL]]], [h]), {
+      argIndex: 0,
+      index: 1,
+      innerIndex: 1,
+      reason:
+        "an options padding array must be the first element of its array of functions to compose.",
+    });
+  });
+
+  it("rejects invalid REPEAT parameters", () => {
+    for (const paddingArray of [
+      [REPEAT],
+      [REPEAT, 2, 1],
+      [REPEAT, -1, 1],
+      [REPEAT, 0, 0],
+      [REPEAT, 1.5, 2],
+    ]) {
+      expectInvalid(() => cartesianComposition([a], [paddingArray, h]), {
+        argIndex: 1,
+        index: 0,
+        reason:
+          'the "cartesianComposition.REPEAT" option must be followed by its bounds',
+      });
+    }
+    expectInvalid(() => cartesianComposition([a], [[[REPEAT, 1, 2], h]]), {
+      argIndex: 1,
+      index: 0,
+      innerIndex: 0,
+      reason:
+        'the "cartesianComposition.REPEAT" option can only be set for an entire argument array.',
+    });
+  });
+
+  it("rejects invalid LINKED parameters", () => {
+    expectInvalid(() => cartesianComposition([[LINKED], a], [h]), {
+      argIndex: 0,
+      index: 0,
+      reason:
+        'the "cartesianComposition.LINKED" option must be followed by an integer link ID',
+    });
+    expectInvalid(() => cartesianComposition([a], [[[LINKED, 1], h]]), {
+      argIndex: 1,
+      index: 0,
+      innerIndex: 0,
+      reason:
+        'the "cartesianComposition.LINKED" option can only be set for an entire argument array.',
+    });
+  });
+
+  it("rejects linked arguments of different lengths", () => {
+    expectInvalid(
+      () => cartesianComposition([[LINKED, 1], a, b], [h], [[LINKED, 1], h]),
+      {
+        argIndex: 2,
+        reason:
+          "the argument arrays linked with the link ID 1 must have the same number of functions or compositions of functions (argument 0 has 2, argument 2 has 1).",
+      }
+    );
+  });
+
+  it("rejects invalid GUARD parameters", () => {
+    expectInvalid(() => cartesianComposition([[GUARD], a], [h]), {
+      argIndex: 0,
+      index: 0,
+      reason:
+        'the "cartesianComposition.GUARD" option must be followed by a guard function',
+    });
+    expectInvalid(() => cartesianComposition([[OPTIONAL, a], b], [h]), {
+      argIndex: 0,
+      index: 0,
+      reason:
+        'a function in an options padding array must follow the "cartesianComposition.GUARD" option.',
+    });
+  });
+
+  it("validates the arguments returned by the factories of the dependent arguments when they are called", () => {
+    const composition = cartesianComposition([a], () => [h, 5]);
+    expectInvalid(() => composition(1), {
+      argIndex: 1,
+      index: 1,
+      reason: "[object Number] given.",
+    });
+  });
+
+  it("does not validate the arguments with the validate option set to false", () => {
+    const unvalidated = cartesianComposition.withOptions({ validate: false });
+    expect(() => unvalidated([a, "b"], [h])).not.toThrow();
+    expect(() => unvalidated([a], () => [h, 5])).not.toThrow();
+    expect(unvalidated([a, b], [h])(1)).toEqual(["a(h(1))", "b(h(1))"]);
+  });
+});